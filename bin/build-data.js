@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Pre-computed Data Build
+ * Parses the PDFs listed in data/manifest.json ahead of time and writes data/activities.json,
+ * so the dashboard can render without downloading PDF.js or parsing the PDFs in the browser
+ *
+ * Usage: npm run build:data
+ * Dates are read in the system timezone; set TZ (e.g. TZ=America/New_York npm run build:data)
+ * to build in another. The dashboard moves the activities into the viewer's home timezone on load.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { parseFiles } = require('./lib/parse-files');
+const PDFDataParser = require('../src/js/pdf-parser');
+const StatisticsCalculator = require('../src/js/statistics');
+const DateConfig = require('../src/js/date-config');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const OUTPUT_FILE = path.join(DATA_DIR, 'activities.json');
+
+/**
+ * Read the list of PDFs from data/manifest.json, defaulting to activity_log.pdf
+ */
+function readManifest() {
+    const manifestPath = path.join(DATA_DIR, 'manifest.json');
+    if (!fs.existsSync(manifestPath)) {
+        return ['activity_log.pdf'];
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    return Array.isArray(manifest.files) && manifest.files.length > 0 ? manifest.files : ['activity_log.pdf'];
+}
+
+async function main() {
+    const files = readManifest().map(file => path.join(DATA_DIR, file));
+    const { activities, report, sources } = await parseFiles(files);
+
+    report.warnings.forEach(warning => console.error(`Warning: ${warning}`));
+    if (activities.length === 0) {
+        throw new Error(`No activities found in ${files.join(', ')}`);
+    }
+
+    // Raw row text is only useful while debugging the parser
+    const storedActivities = activities.map(({ rawText, ...activity }) => activity);
+
+    const data = {
+        version: PDFDataParser.PRECOMPUTED_VERSION,
+        generatedAt: new Date().toISOString(),
+        sources,
+        timeZone: DateConfig.getTimeZone(),
+        report: {
+            pagesRead: report.pagesRead,
+            dateHeadersFound: report.dateHeadersFound,
+            activitiesMatched: report.activitiesMatched,
+            duplicatesSkipped: report.duplicatesSkipped,
+            warnings: report.warnings,
+            unmatchedFragments: report.unmatchedFragments,
+            unrecognizedCourses: report.unrecognizedCourses
+        },
+        stats: new StatisticsCalculator(activities).getSummary(),
+        activities: storedActivities
+    };
+
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(data) + '\n');
+    console.error(`Wrote ${storedActivities.length} activities from ${sources.length} file(s) to ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,47 @@
+/**
+ * Node PDF Parsing
+ * Runs the dashboard's PDFDataParser on local files with the pdfjs-dist Node build
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// PDFDataParser expects PDF.js as a global, like the browser build provides
+global.pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+pdfjsLib.GlobalWorkerOptions.workerSrc = require.resolve('pdfjs-dist/legacy/build/pdf.worker.js');
+
+const PDFDataParser = require('../../src/js/pdf-parser');
+
+/**
+ * Parse every PDF and merge overlapping exports
+ * Also returns each file's size and SHA-256 so callers can record what was parsed
+ */
+async function parseFiles(files) {
+    const parser = new PDFDataParser();
+    const activityLists = [];
+    const reports = [];
+    const sources = [];
+
+    for (const file of files) {
+        if (!/\.pdf$/i.test(file)) {
+            throw new Error(`${path.basename(file)} is not a PDF; only PDF exports can be parsed from the command line.`);
+        }
+
+        const buffer = fs.readFileSync(file);
+        const { activities, report } = await parser.parseArrayBuffer(new Uint8Array(buffer), path.basename(file));
+
+        activityLists.push(activities);
+        reports.push(report);
+        sources.push({
+            file: path.basename(file),
+            size: buffer.length,
+            sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+        });
+    }
+
+    const activities = parser.mergeActivities(activityLists);
+    return { activities, report: parser.mergeReports(reports), sources };
+}
+
+module.exports = { parseFiles };
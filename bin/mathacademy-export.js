@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/**
+ * Activity Export CLI
+ * Converts MathAcademy activity log PDFs into normalized JSON or CSV using the dashboard's parser
+ *
+ * Usage: mathacademy-export <activity_log.pdf> [more.pdf ...] [options]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { parseFiles } = require('./lib/parse-files');
+const StatisticsCalculator = require('../src/js/statistics');
+const DateConfig = require('../src/js/date-config');
+
+const USAGE = `Usage: mathacademy-export <activity_log.pdf> [more.pdf ...] [options]
+
+Options:
+  -f, --format <json|csv>   Output format (default: json, or taken from the --output extension)
+  -o, --output <file>       Write to a file instead of stdout
+  -s, --stats[=<file>]      Add a statistics summary; embedded in JSON output, or written to <file>
+  -z, --timezone <zone>     Home timezone for dates and times, e.g. America/New_York (default: TZ)
+  -d, --day-start <hour>    Hour (0-11) at which a new activity day starts for statistics (default: 0)
+  -h, --help                Show this help
+`;
+
+const CSV_COLUMNS = ['date', 'time', 'course', 'type', 'title', 'earned', 'base', 'percentage'];
+
+/**
+ * The value given after an option; a missing value, or another option in its place, is an error
+ */
+function optionValue(argv, index, option) {
+    const value = argv[index + 1];
+    if (value === undefined || value === '' || value.startsWith('-')) {
+        throw new Error(`Option ${option} needs a value.`);
+    }
+    return value;
+}
+
+/**
+ * Parse command-line arguments
+ * Throws on unknown options and on missing or invalid option values
+ */
+function parseArgs(argv) {
+    const options = {
+        files: [], format: null, output: null, stats: false, statsOutput: null,
+        timeZone: null, dayStartHour: 0, help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-f' || arg === '--format') {
+            options.format = optionValue(argv, i++, arg);
+        } else if (arg === '-o' || arg === '--output') {
+            options.output = optionValue(argv, i++, arg);
+        } else if (arg === '-s' || arg === '--stats') {
+            options.stats = true;
+        } else if (arg.startsWith('--stats=')) {
+            options.stats = true;
+            options.statsOutput = arg.slice('--stats='.length);
+            if (!options.statsOutput) {
+                throw new Error('Option --stats= needs a file name.');
+            }
+        } else if (arg === '-z' || arg === '--timezone') {
+            options.timeZone = optionValue(argv, i++, arg);
+        } else if (arg === '-d' || arg === '--day-start') {
+            options.dayStartHour = optionValue(argv, i++, arg);
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+
+    if (!options.format) {
+        options.format = options.output && /\.csv$/i.test(options.output) ? 'csv' : 'json';
+    }
+
+    if (!['json', 'csv'].includes(options.format)) {
+        throw new Error(`Unsupported format "${options.format}". Use json or csv.`);
+    }
+
+    if (options.timeZone && !DateConfig.isValidTimeZone(options.timeZone)) {
+        throw new Error(`Unknown timezone "${options.timeZone}".`);
+    }
+
+    const dayStartHour = Number(options.dayStartHour);
+    if (!Number.isInteger(dayStartHour) || dayStartHour < 0 || dayStartHour > 11) {
+        throw new Error(`Day start must be an hour from 0 to 11, not "${options.dayStartHour}".`);
+    }
+    options.dayStartHour = dayStartHour;
+
+    if (options.stats && options.format === 'csv' && !options.statsOutput) {
+        throw new Error('CSV output cannot embed statistics; use --stats=<file> to write them separately.');
+    }
+
+    return options;
+}
+
+/**
+ * Format the time of day of a Date as HH:MM in the home timezone
+ */
+function formatTime(date) {
+    const { hour, minute } = DateConfig.getParts(date);
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Convert a parsed activity into a flat, serializable record
+ * Dates and times are the wall-clock values in the home timezone, as shown in the export
+ */
+function toRecord(activity) {
+    const timestamp = new Date(activity.timestamp);
+
+    return {
+        date: DateConfig.calendarKey(timestamp),
+        time: activity.hasTime ? formatTime(timestamp) : '',
+        course: activity.course || '',
+        type: activity.type,
+        title: activity.title || '',
+        earned: activity.earned,
+        base: activity.base,
+        percentage: activity.percentage
+    };
+}
+
+/**
+ * Quote a CSV field when needed
+ */
+function escapeCSV(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render records as CSV with a header row
+ */
+function toCSV(records) {
+    const lines = [CSV_COLUMNS.join(',')];
+    records.forEach(record => {
+        lines.push(CSV_COLUMNS.map(column => escapeCSV(record[column])).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        process.stderr.write(`Error: ${error.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+
+    if (options.help || options.files.length === 0) {
+        process.stdout.write(USAGE);
+        process.exit(options.help ? 0 : 1);
+    }
+
+    DateConfig.configure({ timeZone: options.timeZone, dayStartHour: options.dayStartHour });
+
+    const { activities, report } = await parseFiles(options.files);
+
+    report.warnings.forEach(warning => console.error(`Warning: ${warning}`));
+    if (activities.length === 0) {
+        throw new Error(`No activities found in ${options.files.join(', ')}`);
+    }
+
+    // Oldest first reads naturally in spreadsheets and diffs
+    const records = activities
+        .slice()
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .map(toRecord);
+    const stats = options.stats ? new StatisticsCalculator(activities).getSummary() : null;
+
+    let output;
+    if (options.format === 'csv') {
+        output = toCSV(records);
+    } else {
+        const result = {
+            generatedAt: new Date().toISOString(),
+            sources: options.files.map(file => path.basename(file)),
+            timeZone: DateConfig.getTimeZone(),
+            dayStartHour: DateConfig.get().dayStartHour,
+            report: {
+                pagesRead: report.pagesRead,
+                dateHeadersFound: report.dateHeadersFound,
+                activitiesMatched: report.activitiesMatched,
+                duplicatesSkipped: report.duplicatesSkipped,
+                warnings: report.warnings,
+                unmatchedFragments: report.unmatchedFragments
+            },
+            activities: records
+        };
+        if (stats && !options.statsOutput) {
+            result.stats = stats;
+        }
+        output = JSON.stringify(result, null, 2) + '\n';
+    }
+
+    if (options.output) {
+        fs.writeFileSync(options.output, output);
+        console.error(`Wrote ${records.length} activities to ${options.output}`);
+    } else {
+        process.stdout.write(output);
+    }
+
+    if (stats && options.statsOutput) {
+        fs.writeFileSync(options.statsOutput, JSON.stringify(stats, null, 2) + '\n');
+        console.error(`Wrote statistics summary to ${options.statsOutput}`);
+    }
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
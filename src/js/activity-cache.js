@@ -0,0 +1,115 @@
+/**
+ * Activity Cache
+ * Stores parsed activities and parse reports in IndexedDB, keyed by the SHA-256 of the PDF they came from
+ */
+
+class ActivityCache {
+    constructor(databaseName = ActivityCache.DATABASE_NAME) {
+        this.databaseName = databaseName;
+        this.database = null;
+    }
+
+    /**
+     * Check whether this browser can cache parsed files
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' &&
+            typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    /**
+     * Hash file contents as a hex SHA-256 string
+     */
+    static async hash(arrayBuffer) {
+        const digest = await crypto.subtle.digest('SHA-256', arrayBuffer);
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Open the database, creating the store on first use
+     */
+    open() {
+        if (this.database) {
+            return Promise.resolve(this.database);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(ActivityCache.STORE_NAME, { keyPath: 'hash' });
+                store.createIndex('source', 'source');
+            };
+            request.onsuccess = () => {
+                this.database = request.result;
+                resolve(this.database);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a request against the store and resolve with its result
+     */
+    async request(mode, createRequest) {
+        const database = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const store = database.transaction(ActivityCache.STORE_NAME, mode).objectStore(ActivityCache.STORE_NAME);
+            const request = createRequest(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get the cached parse of a file by its hash
+     */
+    async get(hash) {
+        return (await this.request('readonly', store => store.get(hash))) || null;
+    }
+
+    /**
+     * Get the most recently cached parse of a file name, whatever its contents were
+     */
+    async getLatest(source) {
+        const entries = await this.request('readonly', store => store.index('source').getAll(source));
+        entries.sort((a, b) => new Date(b.parsedAt) - new Date(a.parsedAt));
+        return entries[0] || null;
+    }
+
+    /**
+     * Save a parse and drop older parses of the same file name
+     * Entry: { hash, source, version, parsedAt, activities, report }
+     */
+    async put(entry) {
+        const entries = await this.request('readonly', store => store.index('source').getAll(entry.source));
+
+        for (const old of entries) {
+            if (old.hash !== entry.hash) {
+                await this.request('readwrite', store => store.delete(old.hash));
+            }
+        }
+
+        await this.request('readwrite', store => store.put(entry));
+    }
+
+    /**
+     * Remove every cached parse
+     */
+    async clear() {
+        await this.request('readwrite', store => store.clear());
+    }
+}
+
+ActivityCache.DATABASE_NAME = 'mathacademy-dashboard';
+ActivityCache.STORE_NAME = 'parsedFiles';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ActivityCache;
+} else if (typeof window !== 'undefined') {
+    window.ActivityCache = ActivityCache;
+}
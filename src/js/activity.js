@@ -0,0 +1,219 @@
+/**
+ * Activity Model
+ * The canonical shape of a completed MathAcademy activity, with validation, stable IDs and
+ * the one classifier every module uses to decide what kind of activity it is
+ *
+ * Activities stay plain objects so they survive JSON, IndexedDB and Web Worker messages;
+ * this class only holds the static helpers that create and interpret them
+ */
+
+class Activity {
+    /**
+     * Create a validated activity from parsed or imported fields
+     * Earned XP may be zero (a failed attempt) or negative (a penalty); an empty base is taken
+     * to be whatever was earned. Throws if the result is not a usable activity
+     */
+    static create({ date, timestamp, hasTime = false, type, taskName, course, title = '', earned, base, rawText = '' }) {
+        const kind = Activity.classify({ type, taskName });
+        const earnedXP = Activity.toNumber(earned);
+        const baseXP = base === undefined || base === null || base === '' ? Math.max(earnedXP, 0) : Activity.toNumber(base);
+
+        const activity = {
+            date: date || '',
+            timestamp: timestamp instanceof Date ? timestamp : new Date(timestamp),
+            hasTime: Boolean(hasTime),
+            type: kind,
+            course: course || '',
+            title: String(title || '').trim(),
+            earned: earnedXP,
+            maxXP: baseXP,
+            base: baseXP, // Add base field for compatibility
+            rawText
+        };
+
+        if (taskName) {
+            activity.taskName = taskName;
+        }
+
+        // Diagnostics and rows without a target are complete when they award XP
+        if (kind === 'diagnostic' || !(baseXP > 0)) {
+            activity.percentage = earnedXP > 0 ? 100 : 0;
+        } else {
+            activity.percentage = Math.round((earnedXP / baseXP) * 100);
+        }
+        activity.isSuccess = activity.percentage >= Activity.SUCCESS_PERCENTAGE;
+
+        const errors = Activity.validate(activity);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        return activity;
+    }
+
+    /**
+     * List what is wrong with an activity; an empty list means it is valid
+     */
+    static validate(activity) {
+        const errors = [];
+
+        if (!activity || typeof activity !== 'object') {
+            return ['the activity is missing'];
+        }
+        if (!(activity.timestamp instanceof Date) || isNaN(activity.timestamp.getTime())) {
+            errors.push('the date is not valid');
+        }
+        if (!Activity.TYPES.includes(activity.type)) {
+            errors.push(`"${activity.type}" is not an activity type (${Activity.TYPES.join(', ')})`);
+        }
+        if (!Number.isFinite(activity.earned)) {
+            errors.push('earned XP is not a number');
+        }
+        if (!Number.isFinite(activity.base) || activity.base < 0) {
+            errors.push('base XP must be a number of zero or more');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Decide which kind of activity this is: lesson, review, quiz, multistep or diagnostic
+     * Quizzes can be labelled "Assessment" with the quiz only named in taskName; singular and
+     * plural labels are both accepted. Returns null for anything unrecognised.
+     */
+    static classify(activity) {
+        const taskName = (activity.taskName || '').toLowerCase();
+        if (taskName.includes('quiz')) {
+            return 'quiz';
+        }
+
+        const type = (activity.type || '').toLowerCase().trim();
+        return Activity.TYPE_ALIASES[type] || null;
+    }
+
+    /**
+     * Check whether an activity is a diagnostic (placement, supplemental or assessment)
+     */
+    static isDiagnostic(activity) {
+        return Activity.classify(activity) === 'diagnostic';
+    }
+
+    /**
+     * XP that could have been earned; a diagnostic's target is whatever it awarded
+     */
+    static getPossibleXP(activity) {
+        return Activity.isDiagnostic(activity) ? Math.max(activity.earned || 0, 0) : activity.base || 0;
+    }
+
+    /**
+     * Check whether an activity took XP away
+     */
+    static isPenalty(activity) {
+        return activity.earned < 0;
+    }
+
+    /**
+     * Rate an activity as perfect (above its base XP), pass, fail (no XP) or penalty (XP lost)
+     */
+    static getOutcome(activity) {
+        if (Activity.isPenalty(activity)) {
+            return 'penalty';
+        }
+        if (Activity.isDiagnostic(activity)) {
+            return activity.earned > 0 ? 'pass' : 'fail';
+        }
+        if (activity.earned > activity.base) {
+            return 'perfect';
+        }
+        return activity.earned > 0 ? 'pass' : 'fail';
+    }
+
+    /**
+     * Build a fingerprint from the fields that identify an activity across exports
+     * Uses the calendar date in the home timezone, so the day-start hour never changes an ID
+     */
+    static fingerprint(activity) {
+        const dateConfig = typeof DateConfig !== 'undefined' ? DateConfig : require('./date-config');
+        const day = dateConfig.calendarKey(activity.timestamp);
+
+        return [day, activity.course, activity.type, activity.title, activity.earned, activity.base].join('|');
+    }
+
+    /**
+     * Give each activity an ID that is the same every time the same log is loaded
+     * Identical activities on one day are told apart by their order in the log
+     */
+    static assignIds(activities) {
+        const occurrences = {};
+
+        activities.forEach(activity => {
+            const fingerprint = Activity.fingerprint(activity);
+            occurrences[fingerprint] = (occurrences[fingerprint] || 0) + 1;
+            activity.id = `${Activity.hash(fingerprint)}-${occurrences[fingerprint]}`;
+        });
+
+        return activities;
+    }
+
+    /**
+     * Short, stable hash of a string (32-bit FNV-1a as hex)
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Convert an XP value to a number; blank values become NaN so validation rejects them
+     */
+    static toNumber(value) {
+        if (typeof value === 'number') return value;
+        const text = String(value === undefined || value === null ? '' : value).trim();
+        return text === '' ? NaN : Number(text);
+    }
+}
+
+// Canonical activity types, in display order
+Activity.TYPES = ['lesson', 'review', 'quiz', 'multistep', 'diagnostic'];
+
+// Keys used for per-type counts (e.g. stats.activityCounts.quizzes)
+Activity.PLURALS = {
+    lesson: 'lessons',
+    review: 'reviews',
+    quiz: 'quizzes',
+    multistep: 'multisteps',
+    diagnostic: 'diagnostics'
+};
+
+// Labels found in exports and older data, mapped to their canonical type
+Activity.TYPE_ALIASES = {
+    lesson: 'lesson',
+    lessons: 'lesson',
+    review: 'review',
+    reviews: 'review',
+    quiz: 'quiz',
+    quizzes: 'quiz',
+    multistep: 'multistep',
+    multisteps: 'multistep',
+    practice: 'multistep',
+    diagnostic: 'diagnostic',
+    diagnostics: 'diagnostic',
+    assessment: 'diagnostic',
+    placement: 'diagnostic',
+    supplemental: 'diagnostic',
+    'supplemental diagnostic': 'diagnostic'
+};
+
+// Percentage of base XP at which an activity counts as a success
+Activity.SUCCESS_PERCENTAGE = 70;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Activity;
+} else if (typeof window !== 'undefined') {
+    window.Activity = Activity;
+}
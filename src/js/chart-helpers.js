@@ -5,13 +5,17 @@
 
 class ChartHelpers {
     /**
-     * Convert a Date object to YYYY-MM-DD format in local timezone
+     * Get the Activity model (a global in the browser, a module in Node)
      */
-    static toLocalDateString(date) {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
+    static getActivityModel() {
+        return typeof Activity !== 'undefined' ? Activity : require('./activity');
+    }
+
+    /**
+     * Get the date configuration that decides which day an activity belongs to
+     */
+    static getDateConfig() {
+        return typeof DateConfig !== 'undefined' ? DateConfig : require('./date-config');
     }
 
     /**
@@ -21,9 +25,8 @@ class ChartHelpers {
         const dailyGroups = {};
 
         activities.forEach(activity => {
-            // Use timestamp to get actual date, convert to YYYY-MM-DD format using local timezone
-            const date = new Date(activity.timestamp);
-            const dateKey = ChartHelpers.toLocalDateString(date);
+            // Bucket by activity day (YYYY-MM-DD in the home timezone, after the day-start hour)
+            const dateKey = ChartHelpers.getDateConfig().dayKey(activity.timestamp);
             
             if (!dailyGroups[dateKey]) {
                 dailyGroups[dateKey] = {
@@ -44,26 +47,9 @@ class ChartHelpers {
                 dailyGroups[dateKey].courses.add(activity.course);
             }
             
-            // Use the same logic as StatisticsCalculator for consistency
-            const type = activity.type.toLowerCase();
-            const taskName = activity.taskName || '';
-            const isQuiz = taskName.toLowerCase().includes('quiz');
-            const isDiagnostic = !isQuiz && (type === 'diagnostic' || type === 'assessment' || type === 'supplemental diagnostic');
-            
-            let earnedXP, possibleXP;
-            
-            if (isDiagnostic) {
-                // For diagnostics: earned is both earned and possible (100% attainment)
-                earnedXP = activity.earned || 0;
-                possibleXP = activity.earned || 0;
-            } else {
-                // For other activities: use earned and base
-                earnedXP = activity.earned || 0;
-                possibleXP = activity.base || 10;
-            }
-            
-            dailyGroups[dateKey].totalPossible += possibleXP;
-            dailyGroups[dateKey].totalEarned += earnedXP;
+            // The shared classifier keeps daily attainment in step with StatisticsCalculator
+            dailyGroups[dateKey].totalPossible += ChartHelpers.getActivityModel().getPossibleXP(activity);
+            dailyGroups[dateKey].totalEarned += activity.earned || 0;
         });
         
         const sortedDays = Object.values(dailyGroups).sort((a, b) => new Date(a.date) - new Date(b.date));
@@ -89,38 +75,38 @@ class ChartHelpers {
         return sortedDays;
     }
 
+    /**
+     * Day keys a chart covers: the calculator's selected range up to today, or the first to the
+     * last activity day for all time
+     */
+    static getChartDays(stats, dailyData) {
+        if (typeof stats.calculator.getDayKeys === 'function') {
+            return stats.calculator.getDayKeys();
+        }
+        if (dailyData.length === 0) {
+            return [];
+        }
+        return ChartHelpers.getDateConfig().dayRange(dailyData[0].date, dailyData[dailyData.length - 1].date);
+    }
+
     /**
      * Get cumulative XP data for chart
+     * A selected range with no activities gives zeros for each of its days
      */
     static getCumulativeXPData(stats) {
         if (!stats.calculator || !stats.calculator.data) {
-            return { 
-                labels: ['Day 1', 'Day 2', 'Day 3', 'Day 4', 'Day 5'],
-                values: [12, 28, 41, 67, 85]
-            };
+            return { labels: [], values: [] };
         }
 
 
         const activities = stats.calculator.data
             .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
         
-        if (activities.length === 0) {
-            return { 
-                labels: ['Day 1', 'Day 2', 'Day 3'],
-                values: [5, 12, 20]
-            };
-        }
-        
         // Group by day
         const dailyData = ChartHelpers.groupActivitiesByDay(activities);
 
-        // Create complete date range from first to last activity day
-        const firstDate = new Date(dailyData[0].date);
-        const lastDate = new Date(dailyData[dailyData.length - 1].date);
-
-        // Normalize to start of day to avoid timezone issues
-        firstDate.setHours(0, 0, 0, 0);
-        lastDate.setHours(0, 0, 0, 0);
+        // Every day of the selected range, or from the first to the last activity day
+        const dayKeys = ChartHelpers.getChartDays(stats, dailyData);
 
         // Create lookup for daily XP and transitions
         const dailyXPLookup = {};
@@ -138,10 +124,8 @@ class ChartHelpers {
         // Generate cumulative data for ALL days (including zero-activity days)
         const data = [];
         let cumulativeXP = 0;
-        const currentDate = new Date(firstDate);
 
-        while (currentDate <= lastDate) {
-            const dateKey = ChartHelpers.toLocalDateString(currentDate);
+        dayKeys.forEach(dateKey => {
             const dayXP = dailyXPLookup[dateKey] || 0; // 0 for days with no activities
             cumulativeXP += dayXP;
 
@@ -149,9 +133,7 @@ class ChartHelpers {
                 date: dateKey,
                 cumulative: cumulativeXP
             });
-
-            currentDate.setDate(currentDate.getDate() + 1);
-        }
+        });
 
         
         return {
@@ -163,35 +145,21 @@ class ChartHelpers {
 
     /**
      * Get cumulative activities data for chart
+     * A selected range with no activities gives zeros for each of its days
      */
     static getCumulativeActivitiesData(stats) {
         if (!stats.calculator || !stats.calculator.data) {
-            return { 
-                labels: ['Day 1', 'Day 2', 'Day 3', 'Day 4'],
-                values: [2, 5, 7, 12]
-            };
+            return { labels: [], values: [] };
         }
 
         const activities = stats.calculator.data
             .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
         
-        if (activities.length === 0) {
-            return { 
-                labels: ['Day 1', 'Day 2'],
-                values: [1, 2]
-            };
-        }
-        
         // Group by day
         const dailyData = ChartHelpers.groupActivitiesByDay(activities);
 
-        // Create complete date range from first to last activity day
-        const firstDate = new Date(dailyData[0].date);
-        const lastDate = new Date(dailyData[dailyData.length - 1].date);
-
-        // Normalize to start of day to avoid timezone issues
-        firstDate.setHours(0, 0, 0, 0);
-        lastDate.setHours(0, 0, 0, 0);
+        // Every day of the selected range, or from the first to the last activity day
+        const dayKeys = ChartHelpers.getChartDays(stats, dailyData);
 
         // Create lookup for daily activity count and transitions
         const dailyCountLookup = {};
@@ -209,10 +177,8 @@ class ChartHelpers {
         // Generate cumulative data for ALL days (including zero-activity days)
         const data = [];
         let cumulativeCount = 0;
-        const currentDate = new Date(firstDate);
-        
-        while (currentDate <= lastDate) {
-            const dateKey = ChartHelpers.toLocalDateString(currentDate);
+
+        dayKeys.forEach(dateKey => {
             const dayCount = dailyCountLookup[dateKey] || 0; // 0 for days with no activities
             cumulativeCount += dayCount;
 
@@ -220,9 +186,7 @@ class ChartHelpers {
                 date: dateKey,
                 cumulative: cumulativeCount
             });
-
-            currentDate.setDate(currentDate.getDate() + 1);
-        }
+        });
         
         return {
             labels: data.map(d => d.date),
@@ -236,20 +200,14 @@ class ChartHelpers {
      */
     static getAvgXPOverTimeData(stats) {
         if (!stats.calculator || !stats.calculator.data) {
-            return { 
-                labels: ['Week 1', 'Week 2', 'Week 3'],
-                values: [108, 112, 115]
-            };
+            return { labels: [], values: [] };
         }
 
         const activities = stats.calculator.data
             .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
         
         if (activities.length === 0) {
-            return { 
-                labels: ['Week 1', 'Week 2'],
-                values: [110, 112]
-            };
+            return { labels: [], values: [] };
         }
         
         // Group by day
@@ -294,20 +252,14 @@ class ChartHelpers {
      */
     static getSuccessRateOverTimeData(stats) {
         if (!stats.calculator || !stats.calculator.data) {
-            return { 
-                labels: ['Month 1', 'Month 2', 'Month 3'],
-                values: [87, 86, 88]
-            };
+            return { labels: [], values: [] };
         }
 
         const activities = stats.calculator.data
             .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
         
         if (activities.length === 0) {
-            return { 
-                labels: ['Month 1', 'Month 2'],
-                values: [70, 80]
-            };
+            return { labels: [], values: [] };
         }
         
         // Group by day
@@ -350,8 +302,8 @@ class ChartHelpers {
     }
 
     /**
-     * Get daily XP data for week view (non-cumulative)
-     * Ensures all 7 days are included even if some have no activities
+     * Get daily XP data for short ranges such as a week (non-cumulative)
+     * Ensures every day of the range is included even if some have no activities
      */
     static getDailyXPData(stats) {
         if (!stats.calculator || !stats.calculator.data) {
@@ -373,21 +325,16 @@ class ChartHelpers {
             dailyXPLookup[day.date] = day.xp;
         });
 
-        // Generate data for last 7 days (including days with no activities)
-        const today = new Date();
+        // Generate data for every day of the range (including days with no activities)
         const labels = [];
         const values = [];
 
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            const dateKey = ChartHelpers.toLocalDateString(date);
-
+        ChartHelpers.getChartDays(stats, dailyData).forEach(dateKey => {
             const dayXP = dailyXPLookup[dateKey] || 0;
 
             labels.push(dateKey);
             values.push(dayXP);
-        }
+        });
 
         return {
             labels: labels,
@@ -396,8 +343,8 @@ class ChartHelpers {
     }
 
     /**
-     * Get cumulative XP data for week view (cumulative within the week)
-     * Ensures all 7 days are included even if some have no activities
+     * Get cumulative XP data for short ranges such as a week (cumulative within the range)
+     * Ensures every day of the range is included even if some have no activities
      */
     static getWeeklyCumulativeXPData(stats) {
         if (!stats.calculator || !stats.calculator.data) {
@@ -419,23 +366,18 @@ class ChartHelpers {
             dailyXPLookup[day.date] = day.xp;
         });
 
-        // Generate data for last 7 days (including days with no activities)
-        const today = new Date();
+        // Generate data for every day of the range (including days with no activities)
         const labels = [];
         const values = [];
         let cumulative = 0;
 
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            const dateKey = ChartHelpers.toLocalDateString(date);
-
+        ChartHelpers.getChartDays(stats, dailyData).forEach(dateKey => {
             const dayXP = dailyXPLookup[dateKey] || 0;
             cumulative += dayXP;
 
             labels.push(dateKey);
             values.push(cumulative);
-        }
+        });
 
         return {
             labels: labels,
@@ -444,8 +386,8 @@ class ChartHelpers {
     }
 
     /**
-     * Get daily activity count for week view (non-cumulative)
-     * Ensures all 7 days are included even if some have no activities
+     * Get daily activity count for short ranges such as a week (non-cumulative)
+     * Ensures every day of the range is included even if some have no activities
      */
     static getDailyActivitiesData(stats) {
         if (!stats.calculator || !stats.calculator.data) {
@@ -467,21 +409,16 @@ class ChartHelpers {
             dailyCountLookup[day.date] = day.count;
         });
 
-        // Generate data for last 7 days (including days with no activities)
-        const today = new Date();
+        // Generate data for every day of the range (including days with no activities)
         const labels = [];
         const values = [];
 
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            const dateKey = ChartHelpers.toLocalDateString(date);
-
+        ChartHelpers.getChartDays(stats, dailyData).forEach(dateKey => {
             const dayCount = dailyCountLookup[dateKey] || 0;
 
             labels.push(dateKey);
             values.push(dayCount);
-        }
+        });
 
         return {
             labels: labels,
@@ -490,8 +427,8 @@ class ChartHelpers {
     }
 
     /**
-     * Get cumulative activities data for week view (cumulative within the week)
-     * Ensures all 7 days are included even if some have no activities
+     * Get cumulative activities data for short ranges such as a week (cumulative within the range)
+     * Ensures every day of the range is included even if some have no activities
      */
     static getWeeklyCumulativeActivitiesData(stats) {
         if (!stats.calculator || !stats.calculator.data) {
@@ -513,23 +450,18 @@ class ChartHelpers {
             dailyCountLookup[day.date] = day.count;
         });
 
-        // Generate data for last 7 days (including days with no activities)
-        const today = new Date();
+        // Generate data for every day of the range (including days with no activities)
         const labels = [];
         const values = [];
         let cumulative = 0;
 
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            const dateKey = ChartHelpers.toLocalDateString(date);
-
+        ChartHelpers.getChartDays(stats, dailyData).forEach(dateKey => {
             const dayCount = dailyCountLookup[dateKey] || 0;
             cumulative += dayCount;
 
             labels.push(dateKey);
             values.push(cumulative);
-        }
+        });
 
         return {
             labels: labels,
@@ -538,9 +470,9 @@ class ChartHelpers {
     }
 
     /**
-     * Get daily attainment rate for week view
+     * Get daily attainment rate for short ranges such as a week
      * For days with no activities, show 100% for visualization purposes only
-     * Ensures all 7 days are included
+     * Ensures every day of the range is included
      */
     static getDailyAttainmentData(stats) {
         if (!stats.calculator || !stats.calculator.data) {
@@ -564,20 +496,15 @@ class ChartHelpers {
             }
         });
 
-        // Generate data for last 7 days
-        const today = new Date();
+        // Generate data for every day of the range
         const labels = [];
         const values = [];
 
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            const dateKey = ChartHelpers.toLocalDateString(date);
-
+        ChartHelpers.getChartDays(stats, dailyData).forEach(dateKey => {
             labels.push(dateKey);
             // For visualization: days with no activities show 100%
             values.push(dailyAttainmentLookup[dateKey] !== undefined ? dailyAttainmentLookup[dateKey] : 100);
-        }
+        });
 
         return {
             labels: labels,
@@ -585,6 +512,161 @@ class ChartHelpers {
         };
     }
 
+    /**
+     * Get daily XP split by activity type, for a stacked area chart
+     * Returns the day keys as labels and one series of daily XP per type, in Activity.TYPES order
+     */
+    static getDailyXPByTypeData(stats) {
+        if (!stats.calculator || !stats.calculator.data || stats.calculator.data.length === 0) {
+            return { labels: [], series: [] };
+        }
+
+        const activityModel = ChartHelpers.getActivityModel();
+        const dateConfig = ChartHelpers.getDateConfig();
+        const dailyData = ChartHelpers.groupActivitiesByDay(stats.calculator.data);
+
+        // XP per day for each type
+        const typeLookup = {};
+        activityModel.TYPES.forEach(type => {
+            typeLookup[type] = {};
+        });
+        stats.calculator.data.forEach(activity => {
+            const type = activityModel.classify(activity);
+            if (type) {
+                const dateKey = dateConfig.dayKey(activity.timestamp);
+                typeLookup[type][dateKey] = (typeLookup[type][dateKey] || 0) + (activity.earned || 0);
+            }
+        });
+
+        const labels = ChartHelpers.getChartDays(stats, dailyData);
+
+        return {
+            labels,
+            series: activityModel.TYPES.map(type => ({
+                type,
+                values: labels.map(dateKey => typeLookup[type][dateKey] || 0)
+            }))
+        };
+    }
+
+    /**
+     * Mark which chart labels (day keys) hit or missed a goal from stats.goals
+     * Daily goals mark every day; weekly goals mark the last label of each week.
+     * Returns 'hit', 'missed' or null per label; the day or week in progress is only marked once hit,
+     * and weeks the range only partly covers are not marked
+     */
+    static getGoalMarkers(labels, goal, period = 'daily') {
+        if (!goal) {
+            return labels.map(() => null);
+        }
+
+        const dateConfig = ChartHelpers.getDateConfig();
+        const periodOf = label => period === 'weekly' ? dateConfig.weekStart(label) : label;
+        const current = periodOf(dateConfig.today());
+        const results = {};
+        goal.history.filter(entry => !entry.partial).forEach(entry => {
+            results[entry.date] = entry.hit;
+        });
+
+        return labels.map((label, index) => {
+            const key = periodOf(label);
+            const next = labels[index + 1];
+            if (!(key in results) || (next !== undefined && periodOf(next) === key)) {
+                return null;
+            }
+            if (results[key]) {
+                return 'hit';
+            }
+            return key === current ? null : 'missed';
+        });
+    }
+
+    /**
+     * Get calendar heatmap data: Monday-to-Sunday weeks of days, each with its XP, activity count
+     * and an intensity level from 0 (no XP) to 4 (close to the best day)
+     * Days outside the period only pad the first and last week and are marked inRange: false;
+     * a week's month is set when it holds the first day of a month (or starts the heatmap)
+     * The grid follows the selected range, so a range with no activities gives zero-XP cells
+     */
+    static getHeatmapData(stats) {
+        if (!stats.calculator || !stats.calculator.data) {
+            return { weeks: [], maxXP: 0 };
+        }
+
+        const dateConfig = ChartHelpers.getDateConfig();
+        const dailyData = ChartHelpers.groupActivitiesByDay(stats.calculator.data);
+        const dayKeys = ChartHelpers.getChartDays(stats, dailyData);
+        if (dayKeys.length === 0) {
+            return { weeks: [], maxXP: 0 };
+        }
+
+        const dailyLookup = {};
+        dailyData.forEach(day => {
+            dailyLookup[day.date] = day;
+        });
+        const maxXP = Math.max(0, ...dailyData.map(day => day.xp));
+
+        const first = dayKeys[0];
+        const last = dayKeys[dayKeys.length - 1];
+        const weeks = [];
+
+        dateConfig.dayRange(dateConfig.weekStart(first), dateConfig.addDays(dateConfig.weekStart(last), 6)).forEach(dateKey => {
+            if (dateConfig.weekday(dateKey) === 1) {
+                weeks.push({ start: dateKey, month: null, days: [] });
+            }
+
+            const day = dailyLookup[dateKey];
+            const xp = day ? day.xp : 0;
+            const inRange = dateKey >= first && dateKey <= last;
+            const week = weeks[weeks.length - 1];
+
+            week.days.push({
+                date: dateKey,
+                xp,
+                count: day ? day.count : 0,
+                level: xp > 0 && maxXP > 0 ? Math.ceil(xp / maxXP * 4) : 0,
+                inRange
+            });
+
+            if (inRange && (dateKey === first || dateKey.endsWith('-01'))) {
+                week.month = dateKey;
+            }
+        });
+
+        return { weeks, maxXP };
+    }
+
+    /**
+     * Get the course enrolments as a timeline: [{ course, start, end, days }] in order
+     * A new enrolment starts at each course transition groupActivitiesByDay detects, so returning
+     * to an earlier course starts another enrolment; each one ends the day before the next starts
+     */
+    static getCourseTimeline(stats) {
+        if (!stats.calculator || !stats.calculator.data || stats.calculator.data.length === 0) {
+            return [];
+        }
+
+        const dateConfig = ChartHelpers.getDateConfig();
+        const dailyData = ChartHelpers.groupActivitiesByDay(stats.calculator.data)
+            .filter(day => day.courses.length > 0);
+        const enrolments = [];
+
+        dailyData.forEach(day => {
+            if (enrolments.length === 0 || day.courseTransition) {
+                enrolments.push({ course: day.courses[0], start: day.date, end: day.date });
+            }
+        });
+
+        const lastDay = dailyData.length > 0 ? dailyData[dailyData.length - 1].date : null;
+        enrolments.forEach((enrolment, index) => {
+            const next = enrolments[index + 1];
+            enrolment.end = next ? dateConfig.addDays(next.start, -1) : lastDay;
+            enrolment.days = dateConfig.daysBetween(enrolment.start, enrolment.end) + 1;
+        });
+
+        return enrolments;
+    }
+
     /**
      * Sample data points for chart performance
      */
@@ -675,6 +757,6 @@ class ChartHelpers {
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ChartHelpers;
-} else {
+} else if (typeof window !== 'undefined') {
     window.ChartHelpers = ChartHelpers;
 }
\ No newline at end of file
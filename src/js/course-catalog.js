@@ -0,0 +1,156 @@
+/**
+ * Course Catalog
+ * Known MathAcademy courses, used to recognise and abbreviate course names found in activity logs
+ */
+
+class CourseCatalog {
+    /**
+     * Get all registered courses
+     */
+    static getAll() {
+        return CourseCatalog.courses.slice();
+    }
+
+    /**
+     * Find the catalog entry for a course name (matches names and aliases, ignoring case)
+     */
+    static find(name) {
+        if (!name) return null;
+
+        const normalized = CourseCatalog.normalizeName(name);
+
+        return CourseCatalog.courses.find(course =>
+            CourseCatalog.normalizeName(course.name) === normalized ||
+            (course.aliases || []).some(alias => CourseCatalog.normalizeName(alias) === normalized)
+        ) || null;
+    }
+
+    /**
+     * Check whether a course name is in the catalog
+     */
+    static isKnown(name) {
+        return CourseCatalog.find(name) !== null;
+    }
+
+    /**
+     * Find a known course name at the end of a text fragment
+     * Used to trim stray text that was captured in front of a course name
+     * Longer names are tried first so "Mathematical Foundations III" wins over "... I"
+     */
+    static matchTrailing(text) {
+        if (!text) return null;
+
+        const normalized = CourseCatalog.normalizeName(text);
+        const candidates = [];
+
+        CourseCatalog.courses.forEach(course => {
+            [course.name, ...(course.aliases || [])].forEach(name => {
+                candidates.push({ name: CourseCatalog.normalizeName(name), course });
+            });
+        });
+
+        candidates.sort((a, b) => b.name.length - a.name.length);
+
+        const match = candidates.find(candidate =>
+            normalized === candidate.name || normalized.endsWith(' ' + candidate.name)
+        );
+
+        return match ? match.course : null;
+    }
+
+    /**
+     * Add a course to the catalog, or update the existing entry with the same name
+     */
+    static register(course) {
+        if (!course || !course.name) {
+            throw new Error('A course needs at least a name to be registered');
+        }
+
+        const existing = CourseCatalog.find(course.name);
+        if (existing) {
+            Object.assign(existing, course);
+            return existing;
+        }
+
+        const entry = {
+            ...course,
+            abbreviation: course.abbreviation || CourseCatalog.generateAbbreviation(course.name),
+            aliases: course.aliases || []
+        };
+        CourseCatalog.courses.push(entry);
+        return entry;
+    }
+
+    /**
+     * Get the XP needed to finish a course, or null if no total has been registered for it
+     */
+    static getTotalXP(name) {
+        const course = CourseCatalog.find(name);
+        return course && course.totalXP > 0 ? course.totalXP : null;
+    }
+
+    /**
+     * Get a short label for compact display (e.g. chart annotations)
+     */
+    static abbreviate(name) {
+        if (!name) return '';
+
+        const course = CourseCatalog.find(name);
+        return course ? course.abbreviation : name;
+    }
+
+    /**
+     * Build an abbreviation from the initials of a course name
+     */
+    static generateAbbreviation(name) {
+        return name
+            .split(/\s+/)
+            .filter(word => word && !['for', 'of', 'and', '&'].includes(word.toLowerCase()))
+            .map(word => /^[IVX]+$/.test(word) ? word : word.charAt(0).toUpperCase())
+            .join('');
+    }
+
+    /**
+     * Normalize a course name for comparison
+     */
+    static normalizeName(name) {
+        return name.replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+}
+
+// A course may carry totalXP, the XP needed to finish it, for completion forecasts. None is listed
+// here because MathAcademy doesn't publish course totals; the user enters them in the settings
+// panel and CourseTotals registers them.
+CourseCatalog.courses = [
+    { name: 'Mathematical Foundations I', abbreviation: 'MFI', aliases: [] },
+    { name: 'Mathematical Foundations II', abbreviation: 'MFII', aliases: [] },
+    { name: 'Mathematical Foundations III', abbreviation: 'MFIII', aliases: [] },
+    { name: 'Mathematics for Machine Learning', abbreviation: 'M4ML', aliases: [] },
+    { name: 'Prealgebra', abbreviation: 'PreAlg', aliases: ['Pre-Algebra'] },
+    { name: 'Algebra I', abbreviation: 'AlgI', aliases: ['Algebra 1'] },
+    { name: 'Geometry', abbreviation: 'Geo', aliases: [] },
+    { name: 'Algebra II', abbreviation: 'AlgII', aliases: ['Algebra 2'] },
+    { name: 'Precalculus', abbreviation: 'PreCalc', aliases: ['Pre-Calculus'] },
+    { name: 'Integrated Math I', abbreviation: 'IMI', aliases: ['Integrated Math 1'] },
+    { name: 'Integrated Math II', abbreviation: 'IMII', aliases: ['Integrated Math 2'] },
+    { name: 'Integrated Math III', abbreviation: 'IMIII', aliases: ['Integrated Math 3'] },
+    { name: 'AP Precalculus', abbreviation: 'APPreCalc', aliases: [] },
+    { name: 'AP Calculus AB', abbreviation: 'APCalcAB', aliases: [] },
+    { name: 'AP Calculus BC', abbreviation: 'APCalcBC', aliases: [] },
+    { name: 'AP Statistics', abbreviation: 'APStats', aliases: [] },
+    { name: 'Calculus I', abbreviation: 'CalcI', aliases: ['Calculus 1'] },
+    { name: 'Calculus II', abbreviation: 'CalcII', aliases: ['Calculus 2'] },
+    { name: 'Multivariable Calculus', abbreviation: 'MVC', aliases: [] },
+    { name: 'Linear Algebra', abbreviation: 'LinAlg', aliases: [] },
+    { name: 'Differential Equations', abbreviation: 'DiffEq', aliases: [] },
+    { name: 'Probability & Statistics', abbreviation: 'P&S', aliases: ['Probability and Statistics'] },
+    { name: 'Discrete Mathematics', abbreviation: 'DM', aliases: [] },
+    { name: 'Methods of Proof', abbreviation: 'MoP', aliases: [] }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CourseCatalog;
+} else if (typeof window !== 'undefined') {
+    window.CourseCatalog = CourseCatalog;
+}
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * Course XP Totals
+ * The XP needed to finish each course, entered by the user from their course page and remembered
+ * in localStorage. MathAcademy doesn't publish these totals, so the catalog ships without them;
+ * the saved totals are registered with CourseCatalog so completion forecasts can use them
+ */
+
+class CourseTotals {
+    /**
+     * Saved totals: { [course name]: total XP }
+     */
+    static get() {
+        if (!CourseTotals.totals) {
+            CourseTotals.totals = CourseTotals.load();
+        }
+        return CourseTotals.totals;
+    }
+
+    /**
+     * Read saved totals from localStorage
+     */
+    static load() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                return CourseTotals.normalize(JSON.parse(localStorage.getItem(CourseTotals.STORAGE_KEY) || '{}'));
+            }
+        } catch (error) {
+            console.warn('Ignoring saved course totals:', error);
+        }
+        return {};
+    }
+
+    /**
+     * Set or clear (with an empty or zero value) one course's total, remember it for the next visit
+     * and register it with the catalog
+     */
+    static set(course, totalXP) {
+        const totals = { ...CourseTotals.get(), [course]: totalXP };
+        CourseTotals.totals = CourseTotals.normalize(totals);
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(CourseTotals.STORAGE_KEY, JSON.stringify(CourseTotals.totals));
+        }
+
+        CourseTotals.getCatalog().register({ name: course, totalXP: CourseTotals.totals[course] || null });
+        return CourseTotals.totals;
+    }
+
+    /**
+     * Register every saved total with the catalog; call before statistics are calculated
+     */
+    static register() {
+        const catalog = CourseTotals.getCatalog();
+        Object.entries(CourseTotals.get()).forEach(([name, totalXP]) => {
+            catalog.register({ name, totalXP });
+        });
+    }
+
+    /**
+     * Keep whole, positive totals for named courses
+     */
+    static normalize(totals) {
+        const normalized = {};
+        Object.entries(totals || {}).forEach(([course, value]) => {
+            const amount = parseInt(value);
+            if (course && amount > 0) {
+                normalized[course] = amount;
+            }
+        });
+        return normalized;
+    }
+
+    /**
+     * Get the course catalog (a global in the browser, a module in Node)
+     */
+    static getCatalog() {
+        return typeof CourseCatalog !== 'undefined' ? CourseCatalog : require('./course-catalog');
+    }
+}
+
+CourseTotals.STORAGE_KEY = 'courseTotals';
+CourseTotals.totals = null;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CourseTotals;
+} else if (typeof window !== 'undefined') {
+    window.CourseTotals = CourseTotals;
+}
@@ -0,0 +1,342 @@
+/**
+ * Date Configuration
+ * The home timezone and day-start hour used to decide which day an activity belongs to
+ *
+ * Every module buckets dates through these helpers so the parser, statistics and charts agree.
+ * Days are handled as "YYYY-MM-DD" keys in the home timezone; an activity completed before the
+ * day-start hour (e.g. 1:30 AM with a 4 AM start) counts towards the previous day.
+ */
+
+class DateConfig {
+    /**
+     * Current settings: { timeZone, dayStartHour }
+     * A null timeZone follows the viewer's browser (or the process TZ in Node)
+     */
+    static get() {
+        if (!DateConfig.settings) {
+            DateConfig.settings = DateConfig.load();
+        }
+        return DateConfig.settings;
+    }
+
+    /**
+     * Read saved settings from localStorage, falling back to the defaults
+     */
+    static load() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                const saved = JSON.parse(localStorage.getItem(DateConfig.STORAGE_KEY) || 'null');
+                if (saved) {
+                    return DateConfig.normalize(saved);
+                }
+            }
+        } catch (error) {
+            console.warn('Ignoring saved date settings:', error);
+        }
+        return { ...DateConfig.DEFAULTS };
+    }
+
+    /**
+     * Use settings for this session only (e.g. inside the parsing worker or the CLI)
+     */
+    static configure(settings) {
+        DateConfig.settings = DateConfig.normalize({ ...DateConfig.get(), ...settings });
+        DateConfig.formatters = {};
+        return DateConfig.settings;
+    }
+
+    /**
+     * Use settings and remember them for the next visit
+     */
+    static set(settings) {
+        const normalized = DateConfig.configure(settings);
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(DateConfig.STORAGE_KEY, JSON.stringify(normalized));
+        }
+        return normalized;
+    }
+
+    /**
+     * Drop unknown timezones and clamp the day-start hour to 0-11
+     * The hour stays before noon because date-only activities are placed at noon
+     */
+    static normalize(settings) {
+        const timeZone = settings.timeZone && DateConfig.isValidTimeZone(settings.timeZone) ? settings.timeZone : null;
+        const hour = parseInt(settings.dayStartHour);
+        const dayStartHour = Number.isFinite(hour) ? Math.min(Math.max(hour, 0), 11) : 0;
+        return { timeZone, dayStartHour };
+    }
+
+    /**
+     * Check whether Intl knows a timezone name
+     */
+    static isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * The viewer's own timezone
+     */
+    static getViewerTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    /**
+     * The timezone days are counted in
+     */
+    static getTimeZone() {
+        return DateConfig.get().timeZone || DateConfig.getViewerTimeZone();
+    }
+
+    /**
+     * Timezones to offer in the settings panel
+     */
+    static getTimeZones() {
+        if (typeof Intl.supportedValuesOf === 'function') {
+            return Intl.supportedValuesOf('timeZone');
+        }
+        return [DateConfig.getViewerTimeZone(), 'UTC'];
+    }
+
+    /**
+     * Wall-clock parts of a moment in a timezone: { year, month (1-12), day, hour, minute }
+     */
+    static getParts(date, timeZone = DateConfig.getTimeZone()) {
+        if (!DateConfig.formatters[timeZone]) {
+            DateConfig.formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric'
+            });
+        }
+
+        const parts = {};
+        DateConfig.formatters[timeZone].formatToParts(new Date(date)).forEach(part => {
+            if (part.type !== 'literal') {
+                parts[part.type] = parseInt(part.value);
+            }
+        });
+
+        return {
+            year: parts.year,
+            month: parts.month,
+            day: parts.day,
+            hour: parts.hour % 24,
+            minute: parts.minute
+        };
+    }
+
+    /**
+     * The moment a wall-clock time happens in a timezone
+     * Month is 1-12; times skipped by a DST change move forward by the size of the gap
+     */
+    static toInstant(year, month, day, hours = 0, minutes = 0, timeZone = DateConfig.getTimeZone()) {
+        const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+        const offsetAt = time => {
+            const parts = DateConfig.getParts(time, timeZone);
+            return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - Math.floor(time / 60000) * 60000;
+        };
+
+        // Try the offsets in force a day either side; a DST change in between means only one fits,
+        // both fit (a repeated hour, where the earlier is used) or neither fits (a skipped hour)
+        const offsetBefore = offsetAt(wallClock - 86400000);
+        const offsetAfter = offsetAt(wallClock + 86400000);
+        const offset = [offsetBefore, offsetAfter].find(candidate => offsetAt(wallClock - candidate) === candidate);
+
+        return new Date(wallClock - (offset !== undefined ? offset : offsetBefore));
+    }
+
+    /**
+     * The activity day a moment belongs to, as "YYYY-MM-DD"
+     */
+    static dayKey(date) {
+        // Compare wall-clock hours, so a DST change that night doesn't move the day boundary
+        const { year, month, day, hour } = DateConfig.getParts(date);
+        const key = DateConfig.formatKey(year, month, day);
+        return hour < DateConfig.get().dayStartHour ? DateConfig.addDays(key, -1) : key;
+    }
+
+    /**
+     * The calendar date of a moment in the home timezone, ignoring the day-start hour
+     */
+    static calendarKey(date) {
+        const { year, month, day } = DateConfig.getParts(date);
+        return DateConfig.formatKey(year, month, day);
+    }
+
+    /**
+     * Today's activity day
+     */
+    static today() {
+        return DateConfig.dayKey(new Date());
+    }
+
+    /**
+     * Build a "YYYY-MM-DD" key
+     */
+    static formatKey(year, month, day) {
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Split a day key into { year, month (1-12), day }
+     */
+    static parseKey(key) {
+        const [year, month, day] = key.split('-').map(part => parseInt(part));
+        return { year, month, day };
+    }
+
+    /**
+     * Move a day key by a number of days
+     */
+    static addDays(key, days) {
+        const { year, month, day } = DateConfig.parseKey(key);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Number of days from one day key to another
+     */
+    static daysBetween(startKey, endKey) {
+        const start = DateConfig.parseKey(startKey);
+        const end = DateConfig.parseKey(endKey);
+        return Math.round((Date.UTC(end.year, end.month - 1, end.day) - Date.UTC(start.year, start.month - 1, start.day)) / 86400000);
+    }
+
+    /**
+     * Every day key from start to end, inclusive
+     */
+    static dayRange(startKey, endKey) {
+        const keys = [];
+        for (let key = startKey; key <= endKey; key = DateConfig.addDays(key, 1)) {
+            keys.push(key);
+        }
+        return keys;
+    }
+
+    /**
+     * The last few activity days, ending today
+     */
+    static lastDays(count) {
+        const today = DateConfig.today();
+        return DateConfig.dayRange(DateConfig.addDays(today, 1 - count), today);
+    }
+
+    /**
+     * Day of the week of a day key (0 = Sunday)
+     */
+    static weekday(key) {
+        const { year, month, day } = DateConfig.parseKey(key);
+        return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    }
+
+    /**
+     * The Monday that starts the week of a day key (weeks run Monday to Sunday, as in ISO 8601)
+     */
+    static weekStart(key) {
+        return DateConfig.addDays(key, -((DateConfig.weekday(key) + 6) % 7));
+    }
+
+    /**
+     * The first and last day keys of the calendar 'week' (Monday to Sunday), 'month', 'quarter'
+     * or 'year' containing a day key
+     */
+    static calendarPeriod(unit, key = DateConfig.today()) {
+        const { year, month } = DateConfig.parseKey(key);
+        const endOfMonth = lastMonth => new Date(Date.UTC(year, lastMonth, 0)).toISOString().slice(0, 10);
+
+        switch (unit) {
+            case 'week': {
+                const start = DateConfig.weekStart(key);
+                return { start, end: DateConfig.addDays(start, 6) };
+            }
+            case 'month':
+                return { start: DateConfig.formatKey(year, month, 1), end: endOfMonth(month) };
+            case 'quarter': {
+                const firstMonth = month - (month - 1) % 3;
+                return { start: DateConfig.formatKey(year, firstMonth, 1), end: endOfMonth(firstMonth + 2) };
+            }
+            case 'year':
+                return { start: DateConfig.formatKey(year, 1, 1), end: DateConfig.formatKey(year, 12, 31) };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * The ISO week a day key falls in, as "YYYY-Www" (the format of <input type="week">)
+     */
+    static isoWeek(key) {
+        // An ISO week belongs to the year its Thursday falls in; week 1 is the one containing 4 January
+        const thursday = DateConfig.addDays(DateConfig.weekStart(key), 3);
+        const { year } = DateConfig.parseKey(thursday);
+        const firstMonday = DateConfig.weekStart(DateConfig.formatKey(year, 1, 4));
+        const week = Math.floor(DateConfig.daysBetween(firstMonday, thursday) / 7) + 1;
+        return `${year}-W${String(week).padStart(2, '0')}`;
+    }
+
+    /**
+     * The Monday-to-Sunday range of an ISO week written "YYYY-Www"; null if there is no such week
+     */
+    static isoWeekRange(value) {
+        const match = /^(\d{4})-W(\d{1,2})$/.exec(String(value || '').trim());
+        if (!match) {
+            return null;
+        }
+
+        const year = parseInt(match[1]);
+        const start = DateConfig.addDays(DateConfig.weekStart(DateConfig.formatKey(year, 1, 4)), (parseInt(match[2]) - 1) * 7);
+        if (parseInt(match[2]) < 1 || DateConfig.isoWeek(start) !== `${year}-W${match[2].padStart(2, '0')}`) {
+            return null;
+        }
+        return { start, end: DateConfig.addDays(start, 6) };
+    }
+
+    /**
+     * Hour of the day (0-23) a moment happened at in the home timezone
+     */
+    static getHour(date) {
+        return DateConfig.getParts(date).hour;
+    }
+
+    /**
+     * A local Date for a day key, for display with toDateString and friends
+     */
+    static keyToDate(key) {
+        const { year, month, day } = DateConfig.parseKey(key);
+        return new Date(year, month - 1, day, 12);
+    }
+
+    /**
+     * Move a moment so it keeps its wall-clock time when read in another timezone
+     * Used when activities parsed under one home timezone are shown under another
+     */
+    static rezone(date, fromTimeZone, toTimeZone) {
+        if (fromTimeZone === toTimeZone) {
+            return new Date(date);
+        }
+        const { year, month, day, hour, minute } = DateConfig.getParts(date, fromTimeZone);
+        return DateConfig.toInstant(year, month, day, hour, minute, toTimeZone);
+    }
+}
+
+DateConfig.STORAGE_KEY = 'dateConfig';
+DateConfig.DEFAULTS = { timeZone: null, dayStartHour: 0 };
+DateConfig.settings = null;
+DateConfig.formatters = {};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DateConfig;
+} else if (typeof window !== 'undefined') {
+    window.DateConfig = DateConfig;
+}
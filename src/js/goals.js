@@ -0,0 +1,62 @@
+/**
+ * XP Goals
+ * Daily and weekly XP targets set by the user and remembered in localStorage
+ */
+
+class XPGoals {
+    /**
+     * Current targets: { daily, weekly }, each a positive XP amount or null when not set
+     */
+    static get() {
+        if (!XPGoals.goals) {
+            XPGoals.goals = XPGoals.load();
+        }
+        return XPGoals.goals;
+    }
+
+    /**
+     * Read saved targets from localStorage
+     */
+    static load() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                return XPGoals.normalize(JSON.parse(localStorage.getItem(XPGoals.STORAGE_KEY) || '{}'));
+            }
+        } catch (error) {
+            console.warn('Ignoring saved XP goals:', error);
+        }
+        return XPGoals.normalize({});
+    }
+
+    /**
+     * Change targets and remember them for the next visit
+     */
+    static set(goals) {
+        XPGoals.goals = XPGoals.normalize({ ...XPGoals.get(), ...goals });
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(XPGoals.STORAGE_KEY, JSON.stringify(XPGoals.goals));
+        }
+        return XPGoals.goals;
+    }
+
+    /**
+     * Keep whole, positive targets; anything else means no goal
+     */
+    static normalize(goals) {
+        const target = value => {
+            const amount = parseInt(value);
+            return amount > 0 ? amount : null;
+        };
+        return { daily: target(goals.daily), weekly: target(goals.weekly) };
+    }
+}
+
+XPGoals.STORAGE_KEY = 'xpGoals';
+XPGoals.goals = null;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XPGoals;
+} else if (typeof window !== 'undefined') {
+    window.XPGoals = XPGoals;
+}
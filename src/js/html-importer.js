@@ -0,0 +1,158 @@
+/**
+ * HTML Activity Importer
+ * Reads a saved MathAcademy activity page with DOMParser and produces the same activities as the PDF parser
+ */
+
+class HTMLActivityImporter {
+    constructor(parser) {
+        this.parser = parser;
+        this.name = 'HTML';
+    }
+
+    /**
+     * Check whether a file looks like a saved web page
+     */
+    accepts(filename, mimeType = '') {
+        return mimeType.startsWith('text/html') || /\.html?$/i.test(filename);
+    }
+
+    /**
+     * Parse the bytes of a saved activity page
+     * Pages with an activity table are read row by row; any other layout is read as flat text
+     */
+    async parse(arrayBuffer, source = '') {
+        const parser = this.parser;
+        parser.report = parser.createReport(source);
+
+        const html = new TextDecoder().decode(arrayBuffer);
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const lines = this.extractLines(doc.body);
+
+        const rows = this.buildTableRows(lines);
+        parser.activities = rows
+            ? parser.parseRows(rows)
+            : parser.parseActivities(lines.map(line => line.text).join(' '));
+
+        if (parser.activities.length === 0) {
+            parser.report.warnings.push('No activities were recognised in this page. Save the MathAcademy activity page with "Save Page As" and try again.');
+        }
+
+        return { activities: parser.activities, report: parser.report };
+    }
+
+    /**
+     * Flatten the page into lines in reading order
+     * Table rows keep their cells; other block elements become one line of text each
+     */
+    extractLines(root) {
+        const lines = [];
+        let buffer = '';
+
+        const flush = () => {
+            const text = buffer.replace(/\s+/g, ' ').trim();
+            if (text) {
+                lines.push({ text, cells: null });
+            }
+            buffer = '';
+        };
+
+        const walk = node => {
+            node.childNodes.forEach(child => {
+                if (child.nodeType === 3) { // Text node
+                    buffer += child.textContent;
+                    return;
+                }
+                const tag = child.nodeType === 1 ? child.tagName.toUpperCase() : null;
+                if (!tag || HTMLActivityImporter.IGNORED_TAGS.includes(tag)) {
+                    return;
+                }
+
+                if (tag === 'TR') {
+                    flush();
+                    const cells = Array.from(child.children)
+                        .filter(cell => ['TD', 'TH'].includes(cell.tagName.toUpperCase()))
+                        .map(cell => cell.textContent.replace(/\s+/g, ' ').trim());
+                    lines.push({ text: cells.filter(Boolean).join(' '), cells });
+                    return;
+                }
+
+                const isBlock = HTMLActivityImporter.BLOCK_TAGS.includes(tag);
+                if (isBlock) flush();
+                walk(child);
+                if (isBlock) flush();
+                else buffer += ' ';
+            });
+        };
+
+        if (root) {
+            walk(root);
+            flush();
+        }
+        return lines;
+    }
+
+    /**
+     * Turn lines into the date and activity rows used by PDFDataParser.parseRows
+     * Returns null when the page has no table with COURSE and TASK headers
+     */
+    buildTableRows(lines) {
+        const parser = this.parser;
+        const taskPattern = new RegExp(`^(${PDFDataParser.TASK_TYPES.join('|')})$`);
+        const rows = [];
+        let columns = null;
+        let inFooter = false;
+
+        lines.forEach(line => {
+            if (inFooter || /^Notes:/.test(line.text)) {
+                inFooter = true;
+                return;
+            }
+
+            const labels = line.cells ? line.cells.map(cell => cell.toUpperCase()) : [];
+            if (labels.includes('COURSE') && labels.includes('TASK')) {
+                columns = line.cells.map(cell => parser.getColumnKey(cell));
+                return;
+            }
+
+            const dateMatch = line.text.match(PDFDataParser.DATE_PATTERN);
+            if (dateMatch && dateMatch.index === 0) {
+                rows.push({ kind: 'date', date: dateMatch[0], text: line.text });
+                return;
+            }
+
+            if (!columns || !line.cells) return;
+
+            const cells = {};
+            line.cells.forEach((cell, index) => {
+                if (columns[index] && cell) {
+                    cells[columns[index]] = cell;
+                }
+            });
+
+            if (cells.task && taskPattern.test(cells.task)) {
+                rows.push({ kind: 'activity', cells, text: line.text });
+            } else if (line.text) {
+                parser.report.unmatchedFragments.push(line.text);
+            }
+        });
+
+        return columns ? rows : null;
+    }
+}
+
+// Elements whose text is never part of the activity log
+HTMLActivityImporter.IGNORED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'HEAD'];
+
+// Elements that start a new line of text
+HTMLActivityImporter.BLOCK_TAGS = [
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BR', 'DD', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGURE',
+    'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL',
+    'P', 'PRE', 'SECTION', 'TABLE', 'TBODY', 'THEAD', 'TFOOT', 'UL'
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HTMLActivityImporter;
+} else if (typeof window !== 'undefined') {
+    window.HTMLActivityImporter = HTMLActivityImporter;
+}
@@ -6,54 +6,872 @@
 class PDFDataParser {
     constructor() {
         this.activities = [];
+        this.unrecognizedCourses = new Set();
+        this.report = this.createReport();
+        this.progressHandler = null;
+        this.columnMapper = null;
+        this.importers = this.createImporters();
+        this.cache = typeof ActivityCache !== 'undefined' && ActivityCache.isSupported() ? new ActivityCache() : null;
+        this.courseCatalog = typeof CourseCatalog !== 'undefined' ? CourseCatalog : require('./course-catalog');
+        this.activityModel = typeof Activity !== 'undefined' ? Activity : require('./activity');
+        this.dateConfig = typeof DateConfig !== 'undefined' ? DateConfig : require('./date-config');
 
-        // Configure PDF.js worker
+        // Configure PDF.js worker (Node callers point the worker at their local pdfjs-dist build)
+        if (typeof pdfjsLib !== 'undefined' && typeof window !== 'undefined') {
+            pdfjsLib.GlobalWorkerOptions.workerSrc = PDFDataParser.PDFJS_WORKER_URL;
+        }
+    }
+
+    /**
+     * Load PDF.js from the CDN the first time a PDF actually needs parsing
+     */
+    async ensurePDFLibrary() {
         if (typeof pdfjsLib !== 'undefined') {
-            pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.worker.min.js';
+            return;
         }
+
+        await new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = PDFDataParser.PDFJS_URL;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error('Could not load PDF.js, so the PDF cannot be read.'));
+            document.head.appendChild(script);
+        });
+
+        pdfjsLib.GlobalWorkerOptions.workerSrc = PDFDataParser.PDFJS_WORKER_URL;
     }
 
     /**
-     * Load and parse PDF file
+     * Build the importers that turn an exported file into activities
+     * Each has a name, accepts(filename, mimeType) and parse(arrayBuffer, source, options) resolving to { activities, report }
+     * options.mimeType is the file's MIME type when known, and options.userImport is set for files the
+     * user picked, which may prompt for details such as a column mapping
      */
-    async loadFromFile(filename = 'activity_log.pdf') {
+    createImporters() {
+        const importers = [{
+            name: 'PDF',
+            accepts: (filename, mimeType = '') => mimeType === 'application/pdf' || /\.pdf$/i.test(filename),
+            parse: (arrayBuffer, source) => this.parseWithCache(arrayBuffer, source)
+        }];
+
+        if (typeof HTMLActivityImporter !== 'undefined') {
+            importers.push(new HTMLActivityImporter(this));
+        }
+        if (typeof TabularActivityImporter !== 'undefined') {
+            importers.push(new TabularActivityImporter(this));
+        }
+
+        return importers;
+    }
+
+    /**
+     * Find the importer for a file from its name or MIME type
+     */
+    getImporter(filename, mimeType = '') {
+        return this.importers.find(importer => importer.accepts(filename, mimeType)) || null;
+    }
+
+    /**
+     * List the names of the file types that can be imported, e.g. "PDF or HTML"
+     */
+    getSupportedFormats() {
+        const names = this.importers.map(importer => importer.name);
+        return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+    }
+
+    /**
+     * Receive progress while PDFs are parsed: { source, page, pages, activitiesFound }
+     */
+    setProgressHandler(handler) {
+        this.progressHandler = handler;
+    }
+
+    /**
+     * Ask how spreadsheet columns map to activity fields before a CSV or JSON file the user picked is imported
+     * Files listed in data/manifest.json use the guessed mapping without asking
+     * The handler receives { source, headers, mapping, fields, sampleRows } and resolves to a mapping, or null to cancel
+     */
+    setColumnMapper(mapper) {
+        this.columnMapper = mapper;
+    }
+
+    /**
+     * Resolve a path inside the data/ directory of the deployed site
+     */
+    getDataPath(filename) {
+        const basePath = window.location.pathname.includes('/mathacademy-dashboard/')
+            ? '/mathacademy-dashboard/'
+            : '/';
+
+        return `${basePath}data/${filename}`;
+    }
+
+    /**
+     * Read the list of exports from data/manifest.json
+     * Falls back to the single default PDF when there is no manifest
+     */
+    async readManifest() {
+        let filenames = ['activity_log.pdf'];
+        const warnings = [];
+
         try {
-            // Fetch the PDF file
-            const basePath = window.location.pathname.includes('/mathacademy-dashboard/')
-                ? '/mathacademy-dashboard/'
-                : '/';
+            const response = await fetch(this.getDataPath('manifest.json'));
+            if (response.ok) {
+                const manifest = await response.json();
+                if (Array.isArray(manifest.files) && manifest.files.length > 0) {
+                    filenames = manifest.files;
+                }
+            }
+        } catch (error) {
+            warnings.push(`Could not read data/manifest.json (${error.message}); loaded the default PDF only.`);
+        }
+
+        return { filenames, warnings };
+    }
+
+    /**
+     * Load every export listed in data/manifest.json and merge them into one timeline
+     */
+    async loadFromManifest() {
+        const { filenames, warnings } = await this.readManifest();
 
-            const response = await fetch(`${basePath}data/${filename}`);
+        const result = await this.loadFromFiles(filenames);
+        result.report.warnings.unshift(...warnings);
+        return result;
+    }
+
+    /**
+     * Load activities pre-computed by `npm run build:data`
+     * Returns null when data/activities.json is missing or stale, so the caller can parse the PDFs instead;
+     * exports that could not be checked are named in the report's warnings
+     */
+    async loadPrecomputed() {
+        let data;
+        let builtAt;
+
+        try {
+            const response = await fetch(this.getDataPath('activities.json'), { cache: 'no-cache' });
             if (!response.ok) {
-                throw new Error(`Failed to load PDF: ${response.statusText}`);
+                return null;
+            }
+            builtAt = Date.parse(response.headers.get('Last-Modified'));
+            data = await response.json();
+        } catch (error) {
+            console.warn('Could not read data/activities.json:', error);
+            return null;
+        }
+
+        const { staleReason, unverified } = await this.checkPrecomputed(data, builtAt);
+        if (staleReason) {
+            return null;
+        }
+
+        // Activities built under another home timezone keep their wall-clock times in this one
+        this.activities = this.rezoneActivities(data.activities, data.timeZone);
+
+        const report = {
+            ...this.createReport('data/activities.json'),
+            ...data.report,
+            precomputed: true,
+            generatedAt: data.generatedAt
+        };
+
+        if (unverified.length > 0) {
+            report.warnings = [
+                ...(report.warnings || []),
+                `Could not check ${unverified.join(', ')} against data/activities.json; the pre-computed activities may be out of date.`
+            ];
+        }
+
+        return { activities: this.activities, report };
+    }
+
+    /**
+     * Check a pre-computed data file against the exports it was built from
+     * builtAt is when the server says data/activities.json was last modified (NaN if it didn't say).
+     * Returns { staleReason, unverified }: why the file can't be used (null if it is current)
+     * and the sources whose headers were not enough to confirm it
+     */
+    async checkPrecomputed(data, builtAt = NaN) {
+        const stale = staleReason => ({ staleReason, unverified: [] });
+
+        if (!data || data.version !== PDFDataParser.PRECOMPUTED_VERSION) {
+            return stale(`format version ${data && data.version} does not match ${PDFDataParser.PRECOMPUTED_VERSION}`);
+        }
+
+        if (!Array.isArray(data.activities) || !Array.isArray(data.sources)) {
+            return stale('it has no activities');
+        }
+
+        const { filenames } = await this.readManifest();
+        const builtFrom = data.sources.map(source => source.file);
+        if (filenames.join('|') !== builtFrom.join('|')) {
+            return stale('data/manifest.json lists different files than it was built from');
+        }
+
+        // A HEAD request per export keeps the check from downloading the PDFs: an export whose size
+        // differs from the one parsed, or that was modified after data/activities.json, has been replaced
+        const unverified = [];
+
+        for (const source of data.sources) {
+            try {
+                const response = await fetch(this.getDataPath(source.file), { method: 'HEAD', cache: 'no-cache' });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                const size = parseInt(response.headers.get('Content-Length'));
+                const modified = Date.parse(response.headers.get('Last-Modified'));
+                if ((!isNaN(size) && size !== source.size) || modified > builtAt) {
+                    return stale(`${source.file} has changed since it was built`);
+                }
+
+                // Without both dates a replacement of the same size goes unnoticed
+                if (isNaN(modified) || isNaN(builtAt)) {
+                    unverified.push(source.file);
+                }
+            } catch (error) {
+                unverified.push(source.file);
+            }
+        }
+
+        return { staleReason: null, unverified };
+    }
+
+    /**
+     * Load several PDFs from data/ and merge them
+     * A file that fails to load is recorded in the report instead of aborting the others
+     */
+    async loadFromFiles(filenames) {
+        const activityLists = [];
+        const reports = [];
+
+        for (const filename of filenames) {
+            const { activities, report } = await this.loadFromFile(filename);
+            activityLists.push(activities);
+            reports.push(report);
+        }
+
+        this.activities = this.mergeActivities(activityLists);
+        return { activities: this.activities, report: this.mergeReports(reports) };
+    }
+
+    /**
+     * Load and parse an exported file from data/ with the importer for its type
+     * Errors are returned in the report; no sample data is substituted
+     */
+    async loadFromFile(filename = 'activity_log.pdf') {
+        try {
+            return await this.fetchAndParse(filename);
+        } catch (error) {
+            console.error('Error loading activity log:', error);
+
+            const report = this.createReport(filename);
+            report.error = error.message;
+            return { activities: [], report };
+        }
+    }
+
+    /**
+     * Fetch an exported file from data/ and parse it
+     */
+    async fetchAndParse(filename) {
+        const response = await fetch(this.getDataPath(filename));
+        if (!response.ok) {
+            throw new Error(`Failed to load ${filename}: ${response.status} ${response.statusText}`);
+        }
+
+        const importer = this.getImporter(filename, response.headers.get('Content-Type') || '');
+        if (!importer) {
+            throw new Error(`${filename} is not a supported file type. Use a ${this.getSupportedFormats()} export.`);
+        }
+
+        const arrayBuffer = await response.arrayBuffer();
+
+        return importer.parse(arrayBuffer, filename, { mimeType: response.headers.get('Content-Type') || '' });
+    }
+
+    /**
+     * Load and parse files picked or dropped by the user, merging overlapping exports
+     * The files are read locally and never leave the browser
+     */
+    async loadFromUploads(files) {
+        const fileList = Array.from(files || []);
+        if (fileList.length === 0) {
+            throw new Error('No file selected.');
+        }
+
+        const activityLists = [];
+        const reports = [];
+        for (const file of fileList) {
+            const { activities, report } = await this.loadFromUpload(file);
+            activityLists.push(activities);
+            reports.push(report);
+        }
+
+        this.activities = this.mergeActivities(activityLists);
+        return { activities: this.activities, report: this.mergeReports(reports) };
+    }
+
+    /**
+     * Load and parse a file picked or dropped by the user
+     */
+    async loadFromUpload(file) {
+        if (!file) {
+            throw new Error('No file selected.');
+        }
+
+        const importer = this.getImporter(file.name, file.type);
+        if (!importer) {
+            throw new Error(`"${file.name}" is not a supported file. Please choose a MathAcademy activity log ${this.getSupportedFormats()}.`);
+        }
+
+        const arrayBuffer = await file.arrayBuffer();
+        return importer.parse(arrayBuffer, file.name, { mimeType: file.type, userImport: true });
+    }
+
+    /**
+     * Parse PDF bytes, reusing the cached result when the same file was parsed before
+     * A changed file is re-parsed and its report lists what was added or removed since the cached version
+     */
+    async parseWithCache(arrayBuffer, source = '') {
+        if (!this.cache) {
+            return this.parseBuffer(arrayBuffer, source);
+        }
+
+        let hash = null;
+        let previous = null;
+        try {
+            hash = await ActivityCache.hash(arrayBuffer);
+            const cached = await this.cache.get(hash);
+
+            if (cached && cached.version === PDFDataParser.CACHE_VERSION) {
+                this.activities = this.rezoneActivities(cached.activities, cached.timeZone);
+                this.report = { ...cached.report, source, fromCache: true };
+                return { activities: this.activities, report: this.report };
             }
 
-            const arrayBuffer = await response.arrayBuffer();
+            previous = await this.cache.getLatest(source);
+        } catch (error) {
+            console.warn('Could not read the activity cache:', error);
+        }
+
+        const result = await this.parseBuffer(arrayBuffer, source);
+
+        if (previous && previous.version === PDFDataParser.CACHE_VERSION) {
+            result.report.changes = {
+                since: previous.parsedAt,
+                ...this.diffActivities(this.rezoneActivities(previous.activities, previous.timeZone), result.activities)
+            };
+        }
 
-            // Parse PDF with PDF.js
-            const pdf = await pdfjsLib.getDocument(arrayBuffer).promise;
+        if (hash && !result.report.error) {
+            try {
+                await this.cache.put({
+                    hash,
+                    source,
+                    version: PDFDataParser.CACHE_VERSION,
+                    timeZone: this.dateConfig.getTimeZone(),
+                    parsedAt: new Date().toISOString(),
+                    activities: result.activities,
+                    report: { ...result.report, changes: null }
+                });
+            } catch (error) {
+                console.warn('Could not save to the activity cache:', error);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Copy stored activities with Date timestamps, moved from the home timezone they were
+     * parsed in to the current one so each keeps the time of day shown in the export
+     */
+    rezoneActivities(activities, fromTimeZone) {
+        const timeZone = this.dateConfig.getTimeZone();
 
-            let fullText = '';
+        return activities.map(activity => {
+            const timestamp = new Date(activity.timestamp);
+            return {
+                ...activity,
+                timestamp: fromTimeZone ? this.dateConfig.rezone(timestamp, fromTimeZone, timeZone) : timestamp
+            };
+        });
+    }
 
-            // Extract text from all pages
-            for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-                const page = await pdf.getPage(pageNum);
-                const textContent = await page.getTextContent();
+    /**
+     * Compare two parses of a file by activity fingerprint
+     * Repeated activities are matched one for one, so a second identical review counts as added
+     */
+    diffActivities(previousActivities, currentActivities) {
+        const remaining = {};
+        previousActivities.forEach(activity => {
+            const fingerprint = this.activityModel.fingerprint(activity);
+            if (!remaining[fingerprint]) remaining[fingerprint] = [];
+            remaining[fingerprint].push(activity);
+        });
 
-                // Combine text items with spaces
-                const pageText = textContent.items.map(item => item.str).join(' ');
-                fullText += pageText + '\n';
+        const added = [];
+        currentActivities.forEach(activity => {
+            const matches = remaining[this.activityModel.fingerprint(activity)];
+            if (matches && matches.length > 0) {
+                matches.pop();
+            } else {
+                added.push(activity);
             }
+        });
 
-            // Parse activities from extracted text
-            this.activities = this.parseActivities(fullText);
+        const removed = [].concat(...Object.values(remaining));
+        return { added, removed };
+    }
+
+    /**
+     * Parse PDF bytes in a Web Worker when the browser supports it, so the page stays responsive
+     * Falls back to parsing on the main thread if the worker cannot be started (e.g. from file://)
+     */
+    async parseBuffer(arrayBuffer, source = '') {
+        const onProgress = this.progressHandler;
 
-            return this.activities;
+        if (typeof Worker === 'undefined' || typeof window === 'undefined') {
+            return this.parseArrayBuffer(arrayBuffer, source, onProgress);
+        }
 
+        let worker;
+        try {
+            worker = new Worker(PDFDataParser.WORKER_PATH);
         } catch (error) {
-            console.error('Error loading PDF file:', error);
-            return this.generateSampleData();
+            console.warn('Could not start the PDF worker; parsing on the main thread:', error);
+            return this.parseArrayBuffer(arrayBuffer, source, onProgress);
+        }
+
+        const result = await new Promise((resolve, reject) => {
+            worker.onmessage = event => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    if (onProgress) onProgress(message.progress);
+                } else if (message.type === 'result') {
+                    resolve(message);
+                } else if (message.type === 'error') {
+                    reject(new Error(message.message));
+                }
+            };
+            worker.onerror = event => {
+                event.preventDefault();
+                resolve(null);
+            };
+
+            // Keep a copy in case the worker fails to load and the main thread has to parse instead
+            const copy = arrayBuffer.slice(0);
+            worker.postMessage({ arrayBuffer: copy, source, dateSettings: this.dateConfig.get() }, [copy]);
+        }).finally(() => worker.terminate());
+
+        if (!result) {
+            console.warn('The PDF worker failed to load; parsing on the main thread.');
+            return this.parseArrayBuffer(arrayBuffer, source, onProgress);
+        }
+
+        this.activities = result.activities;
+        this.report = result.report;
+        this.unrecognizedCourses = new Set(result.report.unrecognizedCourses);
+        return { activities: this.activities, report: this.report };
+    }
+
+    /**
+     * Create an empty parse report for a source file
+     */
+    createReport(source = '') {
+        return {
+            source,
+            pagesRead: 0,
+            dateHeadersFound: 0,
+            activitiesMatched: 0,
+            unmatchedFragments: [],
+            warnings: [],
+            unrecognizedCourses: [],
+            duplicatesSkipped: 0,
+            changes: null,
+            fromCache: false,
+            error: null
+        };
+    }
+
+    /**
+     * Combine per-file reports into one report for a merged timeline
+     */
+    mergeReports(reports) {
+        const merged = this.createReport(reports.map(report => report.source).join(', '));
+        merged.sources = reports;
+
+        reports.forEach(report => {
+            merged.pagesRead += report.pagesRead;
+            merged.dateHeadersFound += report.dateHeadersFound;
+            merged.activitiesMatched += report.activitiesMatched;
+            merged.unmatchedFragments.push(...report.unmatchedFragments);
+            merged.warnings.push(...report.warnings.map(warning => `${report.source}: ${warning}`));
+            report.unrecognizedCourses.forEach(course => {
+                if (!merged.unrecognizedCourses.includes(course)) {
+                    merged.unrecognizedCourses.push(course);
+                }
+            });
+            if (report.error) {
+                merged.warnings.push(`${report.source}: ${report.error}`);
+            }
+        });
+
+        // Only a total failure is an error; a partial failure is a warning
+        const failed = reports.filter(report => report.error);
+        if (reports.length > 0 && failed.length === reports.length) {
+            merged.error = failed.map(report => report.error).join('; ');
+        }
+
+        const changed = reports.filter(report => report.changes);
+        if (changed.length > 0) {
+            merged.changes = {
+                since: changed.map(report => report.changes.since).sort()[0],
+                added: [].concat(...changed.map(report => report.changes.added)),
+                removed: [].concat(...changed.map(report => report.changes.removed))
+            };
+        }
+        merged.fromCache = reports.length > 0 && reports.every(report => report.fromCache);
+
+        merged.duplicatesSkipped = this.mergeSummary ? this.mergeSummary.duplicates : 0;
+        return merged;
+    }
+
+    /**
+     * Merge activity lists from overlapping exports into one timeline
+     * An activity can legitimately repeat on the same day (e.g. the same review twice), so each
+     * fingerprint is kept as many times as it occurs in the export that contains it most often
+     */
+    mergeActivities(activityLists) {
+        const merged = [];
+        const keptCounts = {};
+
+        activityLists.forEach(activities => {
+            const seenCounts = {};
+
+            activities.forEach(activity => {
+                const fingerprint = this.activityModel.fingerprint(activity);
+                seenCounts[fingerprint] = (seenCounts[fingerprint] || 0) + 1;
+
+                if (seenCounts[fingerprint] > (keptCounts[fingerprint] || 0)) {
+                    keptCounts[fingerprint] = seenCounts[fingerprint];
+                    merged.push(activity);
+                }
+            });
+        });
+
+        const total = activityLists.reduce((sum, activities) => sum + activities.length, 0);
+        this.mergeSummary = {
+            sources: activityLists.length,
+            activities: merged.length,
+            duplicates: total - merged.length
+        };
+
+        // Newest first, matching the order of the activity log
+        return merged.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    /**
+     * Extract text from PDF bytes and parse activities from it
+     * onProgress is called after each page with { source, page, pages, activitiesFound }
+     */
+    async parseArrayBuffer(arrayBuffer, source = '', onProgress = null) {
+        this.report = this.createReport(source);
+
+        await this.ensurePDFLibrary();
+
+        // Parse PDF with PDF.js
+        // Only errors are logged, so PDF.js font warnings stay out of the console (and the CLI's exported data)
+        const pdf = await pdfjsLib.getDocument({ data: arrayBuffer, verbosity: pdfjsLib.VerbosityLevel.ERRORS }).promise;
+
+        // Collect positioned text items from all pages
+        const pages = [];
+        let activitiesFound = 0;
+        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+            const page = await pdf.getPage(pageNum);
+            const textContent = await page.getTextContent();
+            pages.push(textContent.items);
+            this.report.pagesRead++;
+
+            if (onProgress) {
+                activitiesFound += this.countActivityRows(textContent.items);
+                onProgress({ source, page: pageNum, pages: pdf.numPages, activitiesFound });
+            }
+        }
+
+        this.activities = this.parsePages(pages);
+
+        if (this.activities.length === 0) {
+            this.report.warnings.push('No activities were recognised in this file.');
+        }
+
+        return { activities: this.activities, report: this.report };
+    }
+
+    /**
+     * Parse activities from the text items of every page
+     * Rebuilds table rows from item positions; falls back to flat text if no table header is found
+     */
+    parsePages(pages) {
+        const rows = this.buildTableRows(pages);
+
+        if (!rows) {
+            const fullText = pages.map(items => items.map(item => item.str).join(' ')).join('\n');
+            return this.parseActivities(fullText);
+        }
+
+        return this.parseRows(rows);
+    }
+
+    /**
+     * Estimate how many activity rows a page holds by counting its task labels
+     * Only used for progress reporting; the full parse runs once every page is read
+     */
+    countActivityRows(items) {
+        const taskPattern = new RegExp(`^(${PDFDataParser.TASK_TYPES.join('|')})$`);
+        return items.filter(item => item.str && taskPattern.test(item.str.trim())).length;
+    }
+
+    /**
+     * Group a page's text items into visual lines using their y coordinates
+     */
+    extractPageLines(items) {
+        const lines = [];
+
+        items
+            .filter(item => item.str && item.str.trim() && item.transform)
+            .map(item => ({
+                str: item.str,
+                x: item.transform[4],
+                y: item.transform[5],
+                width: item.width || 0
+            }))
+            .sort((a, b) => b.y - a.y || a.x - b.x)
+            .forEach(item => {
+                const line = lines.find(l => Math.abs(l.y - item.y) <= PDFDataParser.LINE_TOLERANCE);
+                if (line) {
+                    line.items.push(item);
+                } else {
+                    lines.push({ y: item.y, items: [item] });
+                }
+            });
+
+        lines.forEach(line => line.items.sort((a, b) => a.x - b.x));
+        return lines.sort((a, b) => b.y - a.y);
+    }
+
+    /**
+     * Join items into text, only inserting spaces where there is a visible gap
+     */
+    joinItems(items) {
+        let text = '';
+        let previous = null;
+
+        items.forEach(item => {
+            if (previous && item.x - (previous.x + previous.width) > 1 && !text.endsWith(' ')) {
+                text += ' ';
+            }
+            text += item.str;
+            previous = item;
+        });
+
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Read column positions from a table header line ("COURSE  TASK  DESCRIPTION  XP EARNED")
+     */
+    detectColumns(line) {
+        const labels = line.items.map(item => item.str.trim().toUpperCase());
+        if (!labels.includes('COURSE') || !labels.includes('TASK')) {
+            return null;
+        }
+
+        return line.items.map(item => ({ key: this.getColumnKey(item.str), x: item.x }));
+    }
+
+    /**
+     * Turn a table header label into a cell key ("XP EARNED" becomes "xp", "COMPLETED AT" becomes "completed_at")
+     */
+    getColumnKey(label) {
+        const normalized = label.trim().toUpperCase();
+        return normalized === 'XP EARNED' ? 'xp' : normalized.toLowerCase().replace(/\s+/g, '_');
+    }
+
+    /**
+     * Split a line into cells keyed by column name
+     */
+    assignCells(line, columns) {
+        const cellItems = {};
+
+        line.items.forEach(item => {
+            // Each item belongs to the right-most column starting at or before it
+            let column = columns[0];
+            columns.forEach(candidate => {
+                if (item.x + PDFDataParser.COLUMN_TOLERANCE >= candidate.x) {
+                    column = candidate;
+                }
+            });
+
+            if (!cellItems[column.key]) cellItems[column.key] = [];
+            cellItems[column.key].push(item);
+        });
+
+        const cells = {};
+        Object.entries(cellItems).forEach(([key, items]) => {
+            cells[key] = this.joinItems(items);
+        });
+        return cells;
+    }
+
+    /**
+     * Rebuild date headers and activity table rows from positioned text items
+     * Returns null when the document has no recognisable table header
+     */
+    buildTableRows(pages) {
+        const datePattern = PDFDataParser.DATE_PATTERN;
+        const taskPattern = new RegExp(`^(${PDFDataParser.TASK_TYPES.join('|')})$`);
+        const rows = [];
+        let columns = null;
+        let inFooter = false;
+
+        pages.forEach(items => {
+            const pageRows = [];
+            const continuations = [];
+
+            this.extractPageLines(items).forEach(line => {
+                const lineText = this.joinItems(line.items);
+
+                // The explanatory notes at the end of the log are not activities
+                if (inFooter || /^Notes:/.test(lineText)) {
+                    inFooter = true;
+                    return;
+                }
+
+                const headerColumns = this.detectColumns(line);
+                if (headerColumns) {
+                    columns = headerColumns; // Tables continue across pages without repeating the header
+                    return;
+                }
+
+                const dateMatch = lineText.match(datePattern);
+                if (dateMatch && dateMatch.index === 0) {
+                    pageRows.push({ kind: 'date', date: dateMatch[0], text: lineText });
+                    return;
+                }
+
+                if (!columns) return;
+
+                const cells = this.assignCells(line, columns);
+
+                if (cells.task && taskPattern.test(cells.task)) {
+                    pageRows.push({ kind: 'activity', y: line.y, cells, descriptionParts: [], text: lineText });
+                } else if (cells.description && Object.keys(cells).length === 1) {
+                    // Long titles wrap onto extra lines above and below the row
+                    continuations.push({ y: line.y, text: cells.description });
+                } else {
+                    this.report.unmatchedFragments.push(lineText);
+                }
+            });
+
+            // Attach each wrapped title line to the nearest activity row on the same page
+            const activityRows = pageRows.filter(row => row.kind === 'activity');
+            continuations.forEach(continuation => {
+                let nearest = null;
+                activityRows.forEach(row => {
+                    const distance = Math.abs(row.y - continuation.y);
+                    if (distance <= PDFDataParser.ROW_MERGE_DISTANCE &&
+                        (!nearest || distance < Math.abs(nearest.y - continuation.y))) {
+                        nearest = row;
+                    }
+                });
+                if (nearest) {
+                    nearest.descriptionParts.push(continuation);
+                } else {
+                    this.report.unmatchedFragments.push(continuation.text);
+                }
+            });
+
+            activityRows.forEach(row => {
+                const parts = row.descriptionParts.slice();
+                if (row.cells.description) {
+                    parts.push({ y: row.y, text: row.cells.description });
+                }
+                row.cells.description = parts
+                    .sort((a, b) => b.y - a.y)
+                    .map(part => part.text)
+                    .join(' ');
+            });
+
+            rows.push(...pageRows);
+        });
+
+        return columns ? rows : null;
+    }
+
+    /**
+     * Parse activities from reconstructed table rows
+     */
+    parseRows(rows) {
+        const activities = [];
+        this.unrecognizedCourses = new Set();
+        let currentDate = null;
+        let dayActivities = [];
+
+        const finishDay = () => {
+            if (currentDate) {
+                this.checkDailyTotal(currentDate.date, currentDate.text, dayActivities);
+            }
+        };
+
+        rows.forEach(row => {
+            if (row.kind === 'date') {
+                finishDay();
+                currentDate = row;
+                dayActivities = [];
+                this.report.dateHeadersFound++;
+                return;
+            }
+
+            const activity = currentDate ? this.parseActivityRow(currentDate.date, row.cells) : null;
+            if (activity) {
+                activities.push(activity);
+                dayActivities.push(activity);
+            } else {
+                this.report.unmatchedFragments.push(row.text);
+            }
+        });
+        finishDay();
+
+        return this.finalizeActivities(activities);
+    }
+
+    /**
+     * Parse a single reconstructed table row
+     */
+    parseActivityRow(dateStr, cells) {
+        const xpMatch = (cells.xp || '').match(PDFDataParser.XP_PATTERN);
+        if (!cells.course || !xpMatch) {
+            return null;
         }
+
+        // Completion time comes from a time column when the export has one
+        const timeKey = Object.keys(cells).find(key => /time|completed/.test(key));
+        const timeMatch = timeKey ? cells[timeKey].match(PDFDataParser.TIME_PATTERN) : null;
+
+        const rawText = Object.values(cells).filter(Boolean).join('   ');
+
+        return this.buildActivity(dateStr, {
+            rawCourse: cells.course,
+            type: cells.task,
+            description: cells.description || '',
+            earnedXP: xpMatch[1],
+            maxXP: xpMatch[2],
+            timeStr: timeMatch ? timeMatch[0] : null,
+            rawText
+        });
     }
 
     /**
@@ -61,9 +879,10 @@ class PDFDataParser {
      */
     parseActivities(text) {
         const activities = [];
+        this.unrecognizedCourses = new Set();
 
         // Find all date headers with their positions
-        const datePattern = /(Mon|Tue|Wed|Thu|Fri|Sat|Sun),\s+[A-Za-z]{3}\s+\d{1,2}(?:st|nd|rd|th)?,\s+\d{4}/g;
+        const datePattern = new RegExp(PDFDataParser.DATE_PATTERN.source, 'g');
         const dateMatches = [];
         let match;
 
@@ -74,6 +893,7 @@ class PDFDataParser {
                 endIndex: match.index + match[0].length
             });
         }
+        this.report.dateHeadersFound += dateMatches.length;
 
 
         // Process each date section
@@ -82,200 +902,302 @@ class PDFDataParser {
             const nextDate = dateMatches[i + 1];
 
             // Extract text from end of current date to start of next date (or end of text)
+            // The explanatory notes at the end of the log are not activities
             const sectionStart = currentDate.endIndex;
             const sectionEnd = nextDate ? nextDate.startIndex : text.length;
-            const sectionText = text.substring(sectionStart, sectionEnd);
+            const sectionText = text.substring(sectionStart, sectionEnd).replace(/Notes:[\s\S]*$/, '');
 
             if (sectionText.length > 10) { // Only process if section has meaningful content
                 const sectionActivities = this.parseActivitySection(currentDate.date, sectionText);
                 activities.push(...sectionActivities);
+                this.checkDailyTotal(currentDate.date, sectionText, sectionActivities);
             }
         }
 
-        const filteredActivities = activities.filter(activity =>
-            activity.type &&
-            activity.earned !== undefined &&
-            activity.timestamp instanceof Date
-        );
+        return this.finalizeActivities(activities);
+    }
+
+    /**
+     * Drop incomplete activities and record the outcome in the parse report
+     */
+    finalizeActivities(activities) {
+        const filteredActivities = activities.filter(activity => this.activityModel.validate(activity).length === 0);
+
+        this.report.activitiesMatched += filteredActivities.length;
+        this.activityModel.assignIds(filteredActivities);
+
+        if (this.unrecognizedCourses.size > 0) {
+            const courses = Array.from(this.unrecognizedCourses);
+            this.report.unrecognizedCourses.push(...courses);
+            this.report.warnings.push(`Unrecognized course names: ${courses.join(', ')}`);
+            console.warn('Unrecognized course names in activity log:', courses);
+        }
 
         return filteredActivities;
     }
 
+    /**
+     * Compare a day's "(N XP)" header total with the XP of the activities matched for that day
+     */
+    checkDailyTotal(dateStr, headerText, activities) {
+        const totalMatch = (headerText || '').match(/^\s*(?:[^(]*)\((-?\d+)\s*XP\)/);
+        if (!totalMatch) return;
+
+        const expected = parseInt(totalMatch[1]);
+        const matched = activities.reduce((sum, activity) => sum + activity.earned, 0);
+
+        if (expected !== matched) {
+            this.report.warnings.push(
+                `${dateStr}: day total is ${expected} XP but the matched activities add up to ${matched} XP`
+            );
+        }
+    }
+
+    /**
+     * Get course names seen in the last parse that are not in the course catalog
+     */
+    getUnrecognizedCourses() {
+        return Array.from(this.unrecognizedCourses);
+    }
+
+    /**
+     * Resolve a captured course name against the course catalog
+     * Known names are returned in their catalog spelling; unknown names are kept as-is and recorded
+     */
+    resolveCourse(rawCourse) {
+        const courseText = rawCourse.replace(/\s+/g, ' ').trim();
+
+        const exact = this.courseCatalog.find(courseText);
+        if (exact) return exact.name;
+
+        // Stray text (e.g. a page header) can end up in front of the course name
+        const trailing = this.courseCatalog.matchTrailing(courseText);
+        if (trailing) return trailing.name;
+
+        this.unrecognizedCourses.add(courseText);
+        return courseText;
+    }
+
     /**
      * Parse a section of activities for a specific date
      */
     parseActivitySection(dateStr, sectionText) {
         const activities = [];
 
+        // Drop the daily XP total and table header so only activity rows remain
+        const rowsText = sectionText
+            .replace(/^\s*\([-−–]?\d+\s*XP\)/, ' ')
+            .replace(/COURSE\s+TASK\s+DESCRIPTION\s+XP\s+EARNED/g, ' ');
 
-        // Look for Placement and Supplemental activities with their XP values
-        // Handle format: "Mathematical Foundations III   Placement   63 /   XP"
-        // Also handle: "Mathematics for Machine Learning   Placement   63 /   XP"
-        const diagnosticRegex = /(Mathematical Foundations \w+|Mathematics for Machine Learning)\s+(Placement|Supplemental)\s+(\d+)\s*\/\s*XP/g;
-        let diagnosticMatch;
-        const diagnosticActivities = [];
-
-        while ((diagnosticMatch = diagnosticRegex.exec(sectionText)) !== null) {
-            const [fullMatch, course, type, xpValue] = diagnosticMatch;
-            const earnedXP = parseInt(xpValue) || 63;
-
-
-            const parsedDate = this.parseDate(dateStr);
-            diagnosticActivities.push({
-                date: dateStr,
-                timestamp: parsedDate,
-                type: 'diagnostic', // Normalize to diagnostic
-                course: course.trim(),
-                title: `${type} Activity`,
-                earned: earnedXP,
-                maxXP: earnedXP, // For diagnostics, earned = max
-                base: earnedXP,
-                percentage: 100, // Diagnostics are typically 100%
-                isSuccess: true,
-                rawText: fullMatch
-            });
+        // Each row reads "<course> <task> <description> <earned> / <max> XP", e.g.
+        // "Calculus I   Lesson   The Chain Rule   12 / 10 XP" or "Mathematical Foundations III   Placement   63 /   XP"
+        // Failed attempts earn "0 / 10 XP" and penalties are negative ("-5 / 10 XP" or just "-5 XP")
+        // The course is whatever precedes the task keyword, so any course name is accepted
+        // Exports with a completion time column show it after the XP ("12 / 10 XP   9:41 PM")
+        const taskTypes = PDFDataParser.TASK_TYPES.join('|');
+        const activityRegex = new RegExp(
+            `\\s*(.+?)\\s+(${taskTypes})\\s+(?:(.*?)\\s+)??${PDFDataParser.XP_PATTERN.source}` +
+            `(?:\\s+(${PDFDataParser.TIME_PATTERN.source}))?`,
+            'g'
+        );
+
+        let match;
+        let lastIndex = 0;
+        while ((match = activityRegex.exec(rowsText)) !== null) {
+            const [fullMatch, rawCourse, type, description = '', earnedXP, maxXP, timeStr] = match;
+
+            this.recordUnmatchedText(rowsText.substring(lastIndex, match.index));
+            lastIndex = activityRegex.lastIndex;
+
+            activities.push(this.buildActivity(dateStr, {
+                rawCourse,
+                type,
+                description,
+                earnedXP,
+                maxXP,
+                timeStr: timeStr || null,
+                rawText: fullMatch.trim()
+            }));
         }
+        this.recordUnmatchedText(rowsText.substring(lastIndex));
 
-        // Then parse other activities normally
-        // Match both "Mathematical Foundations X" and "Mathematics for Machine Learning"
-        const activityRegex = /(Mathematical Foundations \w+|Mathematics for Machine Learning)\s+(Lesson|Review|Quiz|Diagnostic|Multistep)\s+(.*?)\s+(\d+)\s*\/\s*(\d+)\s*XP/g;
+        return activities;
+    }
 
-        let match;
-        let matchCount = 0;
-        while ((match = activityRegex.exec(sectionText)) !== null) {
-            matchCount++;
-            const [fullMatch, course, type, description, earnedXP, maxXP] = match;
-
-            const parsedDate = this.parseDate(dateStr);
-
-            const activity = {
-                date: dateStr,
-                timestamp: parsedDate,
-                type: this.normalizeActivityType(type),
-                course: course.trim(),
-                title: description.trim(),
-                earned: parseInt(earnedXP) || 0,
-                maxXP: parseInt(maxXP) || parseInt(earnedXP) || 0,
-                base: parseInt(maxXP) || parseInt(earnedXP) || 0, // Add base field for compatibility
-                rawText: fullMatch
-            };
+    /**
+     * Keep text that no activity pattern consumed so it shows up in the parse report
+     */
+    recordUnmatchedText(text) {
+        const fragment = text.replace(/\s+/g, ' ').trim();
+        if (fragment) {
+            this.report.unmatchedFragments.push(fragment);
+        }
+    }
 
-            // Validate the parsed date
-            if (isNaN(parsedDate.getTime())) {
-                activity.timestamp = new Date(); // Fallback to current date
-            }
+    /**
+     * Build an activity object from the fields of one activity row
+     */
+    buildActivity(dateStr, { rawCourse, type, description, earnedXP, maxXP, timeStr, rawText }) {
+        const hasTime = Boolean(timeStr && this.parseTime(timeStr));
 
-            // Calculate percentage
-            if (activity.base > 0) {
-                activity.percentage = Math.round((activity.earned / activity.base) * 100);
-            } else {
-                activity.percentage = 100; // If no max XP, assume 100%
-            }
+        // Without a completion time the timestamp is noon of the activity date
+        const timestamp = hasTime ? this.parseDateTime(dateStr, timeStr) : this.parseDate(dateStr);
+        const fields = {
+            date: dateStr,
+            timestamp,
+            hasTime,
+            type,
+            course: this.resolveCourse(rawCourse),
+            rawText
+        };
 
-            activity.isSuccess = activity.percentage >= 70;
+        const earned = this.parseXP(earnedXP);
 
-            activities.push(activity);
+        // Placement and Supplemental diagnostics have no max XP; what they award is their full value
+        if (type === 'Placement' || type === 'Supplemental') {
+            return this.activityModel.create({ ...fields, title: `${type} Activity`, earned, base: Math.max(earned, 0) });
         }
 
-        // Add the diagnostic activities we found
-        activities.push(...diagnosticActivities);
+        // A row without a max XP keeps its base empty, so the model can decide what it was worth
+        return this.activityModel.create({
+            ...fields,
+            title: description,
+            earned,
+            base: maxXP ? this.parseXP(maxXP) : null
+        });
+    }
 
-        return activities;
+    /**
+     * Parse a signed XP amount such as "12", "-5" or "− 5" (PDFs often use a Unicode minus)
+     */
+    parseXP(text) {
+        return parseInt(String(text).replace(/[−–]/g, '-').replace(/\s+/g, ''));
     }
 
     /**
-     * Generate sample data as fallback
+     * Generate sample data for demo mode
      */
     generateSampleData() {
         const sampleActivities = [
-            { type: 'lessons', earned: 20, maxXP: 20, date: 'Oct 16, 2025', time: '10:30 AM', course: 'Mathematical Foundations III' },
-            { type: 'reviews', earned: 15, maxXP: 20, date: 'Oct 16, 2025', time: '11:15 AM', course: 'Mathematical Foundations III' },
-            { type: 'quizzes', earned: 18, maxXP: 20, date: 'Oct 15, 2025', time: '2:45 PM', course: 'Mathematical Foundations III' },
-            { type: 'diagnostics', earned: 25, maxXP: 30, date: 'Oct 14, 2025', time: '9:20 AM', course: 'Mathematical Foundations II' },
-            { type: 'multisteps', earned: 22, maxXP: 25, date: 'Oct 14, 2025', time: '3:10 PM', course: 'Mathematical Foundations II' }
+            { type: 'lesson', earned: 20, base: 20, date: 'Oct 16, 2025', time: '10:30 AM', course: 'Mathematical Foundations III' },
+            { type: 'review', earned: 15, base: 20, date: 'Oct 16, 2025', time: '11:15 AM', course: 'Mathematical Foundations III' },
+            { type: 'quiz', earned: 18, base: 20, date: 'Oct 15, 2025', time: '2:45 PM', course: 'Mathematical Foundations III' },
+            { type: 'diagnostic', earned: 25, base: 25, date: 'Oct 14, 2025', time: '9:20 AM', course: 'Mathematical Foundations II' },
+            { type: 'multistep', earned: 22, base: 25, date: 'Oct 14, 2025', time: '3:10 PM', course: 'Mathematical Foundations II' }
         ];
 
-        return sampleActivities.map(activity => {
-            activity.timestamp = this.parseDateTime(activity.date, activity.time);
-            activity.base = activity.maxXP; // Add base field for compatibility
-            activity.percentage = Math.round((activity.earned / activity.base) * 100);
-            activity.isSuccess = activity.percentage >= 70;
-            activity.title = `Sample ${activity.type.charAt(0).toUpperCase() + activity.type.slice(1)}`;
-            return activity;
-        });
+        const activities = sampleActivities.map(({ time, ...fields }) => this.activityModel.create({
+            ...fields,
+            timestamp: this.parseDateTime(fields.date, time),
+            hasTime: true,
+            title: `Sample ${fields.type.charAt(0).toUpperCase() + fields.type.slice(1)}`
+        }));
+
+        return this.activityModel.assignIds(activities);
     }
 
     /**
-     * Parse date string into Date object
+     * Parse a date string such as "Thu, Oct 16th, 2025" into { year, month (1-12), day }
+     * Returns null if the string is not a date
      */
-    parseDate(dateStr) {
-        try {
-            // Handle formats like "Thu, Oct 16th, 2025" or "Mon, Sep 1st, 2025"
-            // Remove ordinal suffixes (st, nd, rd, th) and day name
-            let cleanDateStr = dateStr
-                .replace(/^(Mon|Tue|Wed|Thu|Fri|Sat|Sun),?\s*/, '') // Remove day name
-                .replace(/(\d+)(st|nd|rd|th)/, '$1'); // Remove ordinal suffixes
+    parseCalendarDate(dateStr) {
+        // Remove ordinal suffixes (st, nd, rd, th) and day name
+        const cleanDateStr = String(dateStr)
+            .replace(/^(Mon|Tue|Wed|Thu|Fri|Sat|Sun),?\s*/, '') // Remove day name
+            .replace(/(\d+)(st|nd|rd|th)/, '$1'); // Remove ordinal suffixes
 
-            const parsed = new Date(cleanDateStr);
+        const parsed = new Date(cleanDateStr);
+        if (isNaN(parsed.getTime())) {
+            return null;
+        }
 
-            if (isNaN(parsed.getTime())) {
-                return new Date(); // Current date as fallback
-            }
+        return { year: parsed.getFullYear(), month: parsed.getMonth() + 1, day: parsed.getDate() };
+    }
 
-            return parsed;
-        } catch (error) {
-            return new Date();
+    /**
+     * Parse date string into Date object
+     * The result is noon of that date in the home timezone, which stays on the same
+     * activity day whatever day-start hour is configured
+     */
+    parseDate(dateStr) {
+        const calendar = this.parseCalendarDate(dateStr);
+        if (!calendar) {
+            return new Date(); // Current date as fallback
         }
+
+        return this.dateConfig.toInstant(calendar.year, calendar.month, calendar.day, 12);
     }
 
     /**
      * Parse date and time into a proper Date object
+     * The time is read as wall-clock time in the home timezone
      */
     parseDateTime(dateStr, timeStr) {
-        try {
-            const fullDateTimeStr = `${dateStr} ${timeStr}`;
-            return new Date(fullDateTimeStr);
-        } catch (error) {
+        const calendar = this.parseCalendarDate(dateStr);
+        const time = this.parseTime(timeStr);
+
+        if (!calendar || !time) {
             return this.parseDate(dateStr);
         }
+
+        return this.dateConfig.toInstant(calendar.year, calendar.month, calendar.day, time.hours, time.minutes);
     }
 
     /**
-     * Normalize activity type names to match existing format
+     * Parse a clock time such as "9:41 PM", "09:41 p.m." or "21:41"
      */
-    normalizeActivityType(type) {
-        if (!type) return 'lesson';
+    parseTime(timeStr) {
+        if (!timeStr) return null;
 
-        const normalizedType = type.toLowerCase().trim();
+        const match = timeStr.match(/(\d{1,2}):(\d{2})\s*([AaPp])?\.?[Mm]?\.?/);
+        if (!match) return null;
 
-        switch (normalizedType) {
-            case 'lesson':
-            case 'lessons':
-                return 'lesson';
-            case 'review':
-            case 'reviews':
-                return 'review';
-            case 'quiz':
-            case 'quizzes':
-                return 'quiz';
-            case 'diagnostic':
-            case 'diagnostics':
-            case 'placement':
-            case 'supplemental':
-                return 'diagnostic';
-            case 'multistep':
-            case 'multisteps':
-            case 'practice':
-                return 'multistep';
-            default:
-                return 'lesson'; // Default to lesson for unknown types
-        }
+        let hours = parseInt(match[1]);
+        const minutes = parseInt(match[2]);
+        const meridiem = match[3] ? match[3].toUpperCase() : null;
+
+        if (meridiem === 'P' && hours < 12) hours += 12;
+        if (meridiem === 'A' && hours === 12) hours = 0;
+
+        if (hours > 23 || minutes > 59) return null;
+
+        return { hours, minutes };
     }
 }
 
+// PDF.js build loaded on demand in the browser
+PDFDataParser.PDFJS_URL = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.min.js';
+PDFDataParser.PDFJS_WORKER_URL = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.worker.min.js';
+
+// Worker script that runs this parser off the main thread, relative to the page
+PDFDataParser.WORKER_PATH = 'src/js/pdf-worker.js';
+
+// Bump when parsing changes so results cached in IndexedDB are parsed again
+PDFDataParser.CACHE_VERSION = 4;
+
+// Format version of data/activities.json; bump when the stored activity shape changes
+PDFDataParser.PRECOMPUTED_VERSION = 3;
+
+// Task labels used in the TASK column of the activity log
+PDFDataParser.TASK_TYPES = ['Lesson', 'Review', 'Quiz', 'Diagnostic', 'Multistep', 'Placement', 'Supplemental'];
+
+// Day headers such as "Thu, Oct 16th, 2025"
+PDFDataParser.DATE_PATTERN = /(Mon|Tue|Wed|Thu|Fri|Sat|Sun),\s+[A-Za-z]{3}\s+\d{1,2}(?:st|nd|rd|th)?,\s+\d{4}/;
+
+// Completion times such as "9:41 PM" or "21:41"
+PDFDataParser.TIME_PATTERN = /\d{1,2}:\d{2}(?:\s*[AaPp]\.?[Mm]\.?)?/;
+
+// An XP cell: signed earned XP with an optional max, e.g. "12 / 10 XP", "63 / XP", "0 / 10 XP" or "-5 XP"
+PDFDataParser.XP_PATTERN = /([-−–]?\s?\d+)\s*(?:\/\s*(\d*)\s*)?XP/;
+
+// Layout tolerances in PDF points
+PDFDataParser.LINE_TOLERANCE = 1.5; // Items within this vertical distance share a line
+PDFDataParser.COLUMN_TOLERANCE = 2; // Items may start slightly left of their column header
+PDFDataParser.ROW_MERGE_DISTANCE = 10; // Wrapped title lines sit within this distance of their row
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PDFDataParser;
-} else {
+} else if (typeof window !== 'undefined') {
     window.PDFDataParser = PDFDataParser;
 }
\ No newline at end of file
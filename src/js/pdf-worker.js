@@ -0,0 +1,33 @@
+/**
+ * PDF Parsing Worker
+ * Runs PDFDataParser off the main thread and streams progress back to the page
+ *
+ * Receives { arrayBuffer, source, dateSettings } and posts
+ *   { type: 'progress', progress: { source, page, pages, activitiesFound } } after each page,
+ *   then { type: 'result', activities, report } or { type: 'error', message }
+ */
+
+importScripts('date-config.js', 'course-catalog.js', 'activity.js', 'pdf-parser.js');
+
+// Loading the PDF.js worker into this scope lets PDF.js run in-thread instead of nesting another worker
+importScripts(PDFDataParser.PDFJS_URL, PDFDataParser.PDFJS_WORKER_URL);
+
+self.onmessage = async event => {
+    const { arrayBuffer, source, dateSettings } = event.data;
+
+    // Workers can't read the page's saved settings, so dates are bucketed with the ones sent along
+    if (dateSettings) {
+        DateConfig.configure(dateSettings);
+    }
+    const parser = new PDFDataParser();
+
+    try {
+        const { activities, report } = await parser.parseArrayBuffer(arrayBuffer, source, progress => {
+            self.postMessage({ type: 'progress', progress });
+        });
+
+        self.postMessage({ type: 'result', activities, report });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -4,9 +4,15 @@
  */
 
 class StatisticsCalculator {
-    constructor(data = [], period = 'all') {
+    constructor(data = [], period = 'all', options = {}) {
         this.data = data;
         this.period = period;
+        this.range = options.range || null;
+        this.previous = null;
+        this.minDailyXP = options.minDailyXP || 0;
+        this.goals = options.goals || { daily: null, weekly: null };
+        this.activityModel = typeof Activity !== 'undefined' ? Activity : require('./activity');
+        this.dateConfig = typeof DateConfig !== 'undefined' ? DateConfig : require('./date-config');
     }
 
     /**
@@ -16,6 +22,70 @@ class StatisticsCalculator {
         this.data = data;
     }
 
+    /**
+     * Set the XP a day needs to count towards a streak (0 counts any day with activity)
+     */
+    setMinDailyXP(minDailyXP) {
+        this.minDailyXP = minDailyXP || 0;
+    }
+
+    /**
+     * Set the daily and weekly XP targets: { daily, weekly }, null for no goal
+     */
+    setGoals(goals) {
+        this.goals = goals || { daily: null, weekly: null };
+    }
+
+    /**
+     * Options a calculator for a narrower period inherits from this one
+     */
+    getOptions() {
+        return { minDailyXP: this.minDailyXP, goals: this.goals };
+    }
+
+    /**
+     * Day keys the statistics cover: the selected range up to today, or the first to the last
+     * active day when there is no range
+     */
+    getDayKeys() {
+        if (this.range) {
+            const today = this.dateConfig.today();
+            return this.dateConfig.dayRange(this.range.start, this.range.end < today ? this.range.end : today);
+        }
+
+        const dayKeys = this.data.map(activity => this.dateConfig.dayKey(activity.timestamp)).sort();
+        return dayKeys.length === 0 ? [] : this.dateConfig.dayRange(dayKeys[0], dayKeys[dayKeys.length - 1]);
+    }
+
+    /**
+     * The period to compare the selected range with, or null for all time: the calendar unit before
+     * it for a calendar week, month, quarter or year (see getPeriodRange), otherwise the same number
+     * of days just before it. While the range is still running, only as many days as have passed are
+     * compared, so this month so far is set against the same days of last month
+     */
+    getPreviousRange() {
+        const elapsed = this.range ? this.getDayKeys().length : 0;
+        if (elapsed === 0) {
+            return null;
+        }
+
+        const previous = this.range.unit
+            ? this.dateConfig.calendarPeriod(this.range.unit, this.dateConfig.addDays(this.range.start, -1))
+            : {
+                start: this.dateConfig.addDays(this.range.start, -(this.dateConfig.daysBetween(this.range.start, this.range.end) + 1)),
+                end: this.dateConfig.addDays(this.range.start, -1)
+            };
+
+        // A finished range is compared with the whole previous period, even when the units differ in
+        // length (April with all of March); a running one with as many days as have passed so far
+        if (this.range.end <= this.dateConfig.today()) {
+            return previous;
+        }
+
+        const end = this.dateConfig.addDays(previous.start, elapsed - 1);
+        return { start: previous.start, end: end < previous.end ? end : previous.end };
+    }
+
     /**
      * Calculate comprehensive statistics
      */
@@ -28,18 +98,50 @@ class StatisticsCalculator {
             totalXP: this.calculateTotalXP(),
             totalActivities: this.data.length,
             activityCounts: this.calculateActivityCounts(),
+            typeStats: this.calculateTypeStats(),
             successMetrics: this.calculateSuccessMetrics(),
             avgXPPerDay: this.calculateAvgXPPerDay(),
             dailyStats: this.calculateDailyStats(),
             weekdayStats: this.calculateWeekdayStats(),
             bestPerformance: this.calculateBestPerformance(),
             last14Days: this.getLast14Days(),
-            timeAnalysis: this.calculateTimeAnalysis()
+            timeAnalysis: this.calculateTimeAnalysis(),
+            streaks: this.calculateStreaks(),
+            goals: this.calculateGoalStats(),
+            courseForecast: this.calculateCourseForecast(),
+            courseStats: this.calculateCourseStats(),
+            comparison: this.calculateComparison()
         };
 
         return stats;
     }
 
+    /**
+     * Get a serializable summary of the period-independent statistics
+     * Used by the command-line tools and the pre-computed data file
+     */
+    getSummary() {
+        const stats = this.calculateStats();
+
+        return {
+            totalXP: stats.totalXP,
+            totalActivities: stats.totalActivities,
+            activeDays: Object.keys(stats.dailyStats).length,
+            avgXPPerDay: stats.avgXPPerDay,
+            activityCounts: stats.activityCounts,
+            successMetrics: stats.successMetrics,
+            weekdayStats: stats.weekdayStats,
+            bestPerformance: stats.bestPerformance,
+            streaks: stats.streaks,
+            courseForecast: stats.courseForecast,
+            timeAnalysis: {
+                mostProductiveHour: stats.timeAnalysis.mostProductiveHour,
+                maxHourlyXP: stats.timeAnalysis.maxHourlyXP,
+                timedActivities: stats.timeAnalysis.timedActivities
+            }
+        };
+    }
+
     /**
      * Calculate total XP earned
      */
@@ -60,73 +162,69 @@ class StatisticsCalculator {
         };
 
         this.data.forEach(activity => {
-            const originalType = activity.type;
-            const type = originalType.toLowerCase();
-            const taskName = activity.taskName || '';
-            
-            // Check if it's a quiz by name (since quizzes are labeled as "Assessment")
-            if (taskName.toLowerCase().includes('quiz')) {
-                counts.quizzes++;
-            } else {
-                switch (type) {
-                    case 'diagnostic':
-                    case 'assessment':
-                    case 'supplemental diagnostic':
-                        counts.diagnostics++;
-                        break;
-                    case 'lesson':
-                        counts.lessons++;
-                        break;
-                    case 'review':
-                        counts.reviews++;
-                        break;
-                    case 'multistep':
-                        counts.multisteps++;
-                        break;
-                    case 'quiz':
-                        counts.quizzes++;
-                        break;
-                    default:
-                        // Unknown activity type - skip
-                        break;
-                }
+            const type = this.activityModel.classify(activity);
+            if (type) {
+                counts[this.activityModel.PLURALS[type]]++;
             }
         });
 
         return counts;
     }
 
+    /**
+     * Break XP and attainment down by activity type, keyed like activityCounts
+     * Each type has its count, XP earned and possible, attainment %, average XP per activity,
+     * share of all XP earned (%) and perfect/pass/fail counts
+     */
+    calculateTypeStats() {
+        const totalXP = this.calculateTotalXP();
+        const typeStats = {};
+
+        this.activityModel.TYPES.forEach(type => {
+            const activities = this.data.filter(activity => this.activityModel.classify(activity) === type);
+            const metrics = new StatisticsCalculator(activities).calculateSuccessMetrics();
+
+            typeStats[this.activityModel.PLURALS[type]] = {
+                count: activities.length,
+                earned: metrics.totalEarned,
+                possible: metrics.totalPossible,
+                attainment: metrics.successRate,
+                avgXP: activities.length > 0 ? Math.round(metrics.totalEarned / activities.length * 10) / 10 : 0,
+                xpShare: totalXP > 0 ? Math.round(metrics.totalEarned / totalXP * 1000) / 10 : 0,
+                perfectCount: metrics.perfectCount,
+                passCount: metrics.passCount,
+                failCount: metrics.failCount
+            };
+        });
+
+        return typeStats;
+    }
+
     /**
      * Calculate success metrics (perfect, pass, fail)
+     * Fails include penalties; penalties are also counted on their own with the XP they cost
      */
     calculateSuccessMetrics() {
         let perfectCount = 0;
         let passCount = 0;
         let failCount = 0;
+        let penaltyCount = 0;
+        let penaltyXP = 0;
 
+        // Diagnostics have no XP target, so they pass whenever they award XP
         this.data.forEach(activity => {
-            const type = activity.type.toLowerCase();
-            const taskName = activity.taskName || '';
-            const isQuiz = taskName.toLowerCase().includes('quiz');
-            const isDiagnostic = !isQuiz && (type === 'diagnostic' || type === 'assessment' || type === 'supplemental diagnostic');
-            
-            // For diagnostics (but not quizzes), treat them as always at target (pass)
-            // since they don't have traditional XP targets
-            if (isDiagnostic) {
-                if (activity.earned > 0) {
-                    passCount++; // Diagnostics are always "pass" if completed
-                } else {
-                    failCount++;
-                }
+            const outcome = this.activityModel.getOutcome(activity);
+            if (outcome === 'perfect') {
+                perfectCount++;
+            } else if (outcome === 'pass') {
+                passCount++;
             } else {
-                // For other activities (including quizzes), use normal logic
-                if (activity.earned > activity.base) {
-                    perfectCount++;
-                } else if (activity.earned > 0 && activity.earned <= activity.base) {
-                    passCount++;
-                } else {
-                    failCount++;
-                }
+                failCount++;
+            }
+
+            if (outcome === 'penalty') {
+                penaltyCount++;
+                penaltyXP += activity.earned;
             }
         });
 
@@ -135,19 +233,8 @@ class StatisticsCalculator {
         let totalPossible = 0;
         
         this.data.forEach(activity => {
-            const type = activity.type.toLowerCase();
-            const taskName = activity.taskName || '';
-            const isQuiz = taskName.toLowerCase().includes('quiz');
-            const isDiagnostic = !isQuiz && (type === 'diagnostic' || type === 'assessment' || type === 'supplemental diagnostic');
-            
-            // For diagnostics, use earned as both earned and possible (100% attainment)
-            if (isDiagnostic) {
-                totalEarned += activity.earned;
-                totalPossible += activity.earned; // Diagnostics are always at 100% of their potential
-            } else {
-                totalEarned += activity.earned;
-                totalPossible += activity.base;
-            }
+            totalEarned += activity.earned;
+            totalPossible += this.activityModel.getPossibleXP(activity);
         });
 
         const xpAttainmentRate = totalPossible > 0 ? (totalEarned / totalPossible * 100) : 0;
@@ -156,6 +243,8 @@ class StatisticsCalculator {
             perfectCount,
             passCount,
             failCount,
+            penaltyCount,
+            penaltyXP,
             successRate: Math.round(xpAttainmentRate * 10) / 10,
             totalEarned,
             totalPossible
@@ -163,18 +252,17 @@ class StatisticsCalculator {
     }
 
     /**
-     * Calculate daily statistics
+     * Calculate daily statistics, keyed by activity day ("YYYY-MM-DD" in the home timezone)
      */
     calculateDailyStats() {
         const dailyStats = {};
 
         this.data.forEach(activity => {
-            const date = new Date(activity.timestamp);
-            const dateKey = date.toDateString();
+            const dateKey = this.dateConfig.dayKey(activity.timestamp);
             
             if (!dailyStats[dateKey]) {
                 dailyStats[dateKey] = {
-                    date: date,
+                    date: this.dateConfig.keyToDate(dateKey),
                     xp: 0,
                     earned: 0,
                     base: 0,
@@ -203,24 +291,53 @@ class StatisticsCalculator {
 
         const totalXP = this.calculateTotalXP();
 
-        // For week view, always use 7 days since it's a fixed 7-day period
-        if (this.period === 'week') {
-            return Math.round(totalXP / 7);
+        // A selected range counts every day of it so far, active or not
+        const days = this.getDayKeys().length;
+
+        return days > 0 ? Math.round(totalXP / days) : 0;
+    }
+
+    /**
+     * Compare the stat card numbers with the previous period (see getPreviousRange)
+     * Each number becomes { current, previous, change, percentChange }; percentChange is null when
+     * the previous value was zero, and attainment is null unless both periods had XP to earn.
+     * Returns null when the period has nothing to compare with
+     */
+    calculateComparison() {
+        if (!this.previous) {
+            return null;
         }
 
-        // For other periods, calculate based on actual date range
-        const dates = this.data.map(activity => new Date(activity.timestamp).getTime());
-        const firstDate = new Date(Math.min(...dates));
-        const lastDate = new Date(Math.max(...dates));
+        const compare = (current, previous) => {
+            const change = Math.round((current - previous) * 10) / 10;
+            return {
+                current,
+                previous,
+                change,
+                percentChange: previous !== 0 ? Math.round(change / Math.abs(previous) * 100) : null
+            };
+        };
 
-        // Set to start of day for accurate day counting
-        firstDate.setHours(0, 0, 0, 0);
-        lastDate.setHours(0, 0, 0, 0);
+        const currentMetrics = this.calculateSuccessMetrics();
+        const previousMetrics = this.previous.calculateSuccessMetrics();
+        const currentCounts = this.calculateActivityCounts();
+        const previousCounts = this.previous.calculateActivityCounts();
 
-        // Calculate number of calendar days
-        const daysDiff = Math.floor((lastDate - firstDate) / (1000 * 60 * 60 * 24)) + 1;
+        const activityCounts = {};
+        Object.keys(currentCounts).forEach(key => {
+            activityCounts[key] = compare(currentCounts[key], previousCounts[key]);
+        });
 
-        return daysDiff > 0 ? Math.round(totalXP / daysDiff) : 0;
+        return {
+            previousRange: this.previous.range,
+            totalXP: compare(this.calculateTotalXP(), this.previous.calculateTotalXP()),
+            totalActivities: compare(this.data.length, this.previous.data.length),
+            avgXPPerDay: compare(this.calculateAvgXPPerDay(), this.previous.calculateAvgXPPerDay()),
+            successRate: currentMetrics.totalPossible > 0 && previousMetrics.totalPossible > 0
+                ? compare(currentMetrics.successRate, previousMetrics.successRate)
+                : null,
+            activityCounts
+        };
     }
 
     /**
@@ -231,8 +348,7 @@ class StatisticsCalculator {
         const weekdayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
         this.data.forEach(activity => {
-            const date = new Date(activity.timestamp);
-            const day = date.getDay();
+            const day = this.dateConfig.weekday(this.dateConfig.dayKey(activity.timestamp));
             
             if (weekdayStats[day] && !isNaN(day) && day >= 0 && day <= 6) {
                 weekdayStats[day].xp += activity.earned || 0;
@@ -260,6 +376,210 @@ class StatisticsCalculator {
         };
     }
 
+    /**
+     * Calculate current and longest streaks of consecutive active days
+     * A day is active when it has activities and, with a minimum set, at least that much XP.
+     * A streak that reached yesterday is still current, since today can extend it
+     */
+    calculateStreaks(minDailyXP = this.minDailyXP) {
+        const dailyStats = this.calculateDailyStats();
+        const activeDays = Object.keys(dailyStats)
+            .filter(dateKey => minDailyXP <= 0 || dailyStats[dateKey].xp >= minDailyXP)
+            .sort();
+
+        // Each streak: { start, end, length, xp } with start and end as day keys
+        const history = [];
+        activeDays.forEach(dateKey => {
+            const streak = history[history.length - 1];
+            if (streak && this.dateConfig.daysBetween(streak.end, dateKey) === 1) {
+                streak.end = dateKey;
+                streak.length++;
+                streak.xp += dailyStats[dateKey].xp;
+            } else {
+                history.push({ start: dateKey, end: dateKey, length: 1, xp: dailyStats[dateKey].xp });
+            }
+        });
+
+        const latest = history[history.length - 1];
+        const current = latest && this.dateConfig.daysBetween(latest.end, this.dateConfig.today()) <= 1 ? latest : null;
+        const longest = history.reduce((best, streak) => !best || streak.length > best.length ? streak : best, null);
+
+        return {
+            current: current ? current.length : 0,
+            currentStart: current ? current.start : '',
+            longest: longest ? longest.length : 0,
+            longestStart: longest ? longest.start : '',
+            longestEnd: longest ? longest.end : '',
+            minDailyXP,
+            history
+        };
+    }
+
+    /**
+     * Compare daily and weekly XP with the goals
+     * Days are those the statistics cover (see getDayKeys); weeks run Monday to Sunday. A week the
+     * statistics only partly cover, because the range starts or ends mid-week, is marked partial
+     * and left out of the hit rate instead of being held to the whole weekly target
+     */
+    calculateGoalStats(goals = this.goals) {
+        const dailyStats = this.calculateDailyStats();
+        const today = this.dateConfig.today();
+
+        const days = this.getDayKeys().map(date => ({ date, xp: dailyStats[date] ? dailyStats[date].xp : 0 }));
+
+        const weeks = [];
+        days.forEach(({ date, xp }) => {
+            const weekStart = this.dateConfig.weekStart(date);
+            const week = weeks[weeks.length - 1];
+            if (week && week.date === weekStart) {
+                week.xp += xp;
+            } else {
+                weeks.push({ date: weekStart, xp });
+            }
+        });
+
+        // Without a range the days end at the last activity, which doesn't cut short the week in progress
+        const firstDay = days.length > 0 ? days[0].date : today;
+        const lastDay = this.range ? this.range.end : (days.length > 0 ? days[days.length - 1].date : today);
+        const currentWeek = this.dateConfig.weekStart(today);
+        weeks.forEach(week => {
+            const cutShort = this.dateConfig.addDays(week.date, 6) > lastDay && (this.range || week.date !== currentWeek);
+            week.partial = week.date < firstDay || cutShort;
+        });
+
+        return {
+            daily: this.evaluateGoal(goals.daily, days, today),
+            weekly: this.evaluateGoal(goals.weekly, weeks, this.dateConfig.weekStart(today))
+        };
+    }
+
+    /**
+     * Check each day or week against a target; returns null when no goal is set
+     * The day or week still in progress only counts towards the hit rate once its goal is hit, and
+     * partial weeks (see calculateGoalStats) don't count at all
+     */
+    evaluateGoal(target, periods, currentDate) {
+        if (!(target > 0)) {
+            return null;
+        }
+
+        const history = periods.map(({ date, xp, partial }) => ({ date, xp, hit: xp >= target, partial: Boolean(partial) }));
+        const counted = history.filter(period => !period.partial && (period.hit || period.date !== currentDate));
+        const hits = counted.filter(period => period.hit).length;
+        const current = history.find(period => period.date === currentDate);
+        const currentXP = current ? current.xp : 0;
+
+        return {
+            target,
+            current: currentXP,
+            progress: Math.round((currentXP / target) * 100),
+            hit: currentXP >= target,
+            hits,
+            tracked: counted.length,
+            hitRate: counted.length > 0 ? Math.round((hits / counted.length) * 1000) / 10 : 0,
+            history
+        };
+    }
+
+    /**
+     * Forecast when the current course (the course of the latest activity) will be finished
+     * XP still needed comes from the course catalog's total; the expected pace is the XP per calendar
+     * day over the last FORECAST_WINDOW days, and the fastest and slowest 7-day averages in that
+     * window give the optimistic and pessimistic finish dates. Without XP in the window there is no pace
+     */
+    calculateCourseForecast() {
+        const courseCatalog = typeof CourseCatalog !== 'undefined' ? CourseCatalog : require('./course-catalog');
+
+        const latest = this.data
+            .filter(activity => activity.course)
+            .reduce((last, activity) => !last || new Date(activity.timestamp) > new Date(last.timestamp) ? activity : last, null);
+        if (!latest) {
+            return null;
+        }
+
+        const course = latest.course;
+        const earned = this.data
+            .filter(activity => activity.course === course)
+            .reduce((sum, activity) => sum + activity.earned, 0);
+        const totalXP = courseCatalog.getTotalXP(course);
+        const forecast = { course, earned, totalXP, status: 'unknown' };
+
+        if (!totalXP) {
+            return forecast;
+        }
+
+        forecast.remaining = Math.max(totalXP - earned, 0);
+        forecast.percentComplete = Math.min(Math.round((earned / totalXP) * 100), 100);
+        if (forecast.remaining === 0) {
+            return { ...forecast, status: 'complete' };
+        }
+
+        // Paces are XP per calendar day up to today, so days without activity count as zero
+        const dailyStats = this.calculateDailyStats();
+        const xpBetween = (startKey, endKey) => this.dateConfig.dayRange(startKey, endKey)
+            .reduce((sum, key) => sum + (dailyStats[key] ? dailyStats[key].xp : 0), 0);
+        const recentDays = this.dateConfig.lastDays(StatisticsCalculator.FORECAST_WINDOW);
+        const recentXP = xpBetween(recentDays[0], recentDays[recentDays.length - 1]);
+        if (recentXP <= 0) {
+            return { ...forecast, status: 'no-pace' };
+        }
+
+        // The range comes from the 7-day averages ending on each day of the window
+        const weeklyPaces = recentDays.map(key => xpBetween(this.dateConfig.addDays(key, -6), key) / 7);
+        const pace = recentXP / recentDays.length;
+        const fastestPace = Math.max(...weeklyPaces);
+        const slowestPace = Math.min(...weeklyPaces);
+
+        const today = this.dateConfig.today();
+        const finishDate = dailyXP => this.dateConfig.addDays(today, Math.ceil(forecast.remaining / dailyXP));
+        const round = dailyXP => Math.round(dailyXP * 10) / 10;
+
+        return {
+            ...forecast,
+            status: 'forecast',
+            pace: round(pace),
+            fastestPace: round(fastestPace),
+            slowestPace: round(slowestPace),
+            finishDate: finishDate(pace),
+            earliestDate: finishDate(fastestPace),
+            // A week without XP in the window leaves no latest date
+            latestDate: slowestPace > 0 ? finishDate(slowestPace) : null
+        };
+    }
+
+    /**
+     * Break the statistics down by course, in the order the courses were started
+     * Each course has its XP, activity counts, attainment, active days, first and last activity
+     * day, and average XP per calendar day between those two days. Activities without a course are
+     * grouped under UNKNOWN_COURSE
+     */
+    calculateCourseStats() {
+        const byCourse = {};
+        this.data.forEach(activity => {
+            const course = activity.course || StatisticsCalculator.UNKNOWN_COURSE;
+            (byCourse[course] = byCourse[course] || []).push(activity);
+        });
+
+        return Object.entries(byCourse)
+            .map(([course, activities]) => {
+                const calculator = new StatisticsCalculator(activities);
+                const dayKeys = Object.keys(calculator.calculateDailyStats()).sort();
+
+                return {
+                    course,
+                    totalXP: calculator.calculateTotalXP(),
+                    totalActivities: activities.length,
+                    activityCounts: calculator.calculateActivityCounts(),
+                    successRate: calculator.calculateSuccessMetrics().successRate,
+                    activeDays: dayKeys.length,
+                    startDate: dayKeys[0],
+                    endDate: dayKeys[dayKeys.length - 1],
+                    avgXPPerDay: calculator.calculateAvgXPPerDay()
+                };
+            })
+            .sort((a, b) => a.startDate.localeCompare(b.startDate) || a.endDate.localeCompare(b.endDate));
+    }
+
     /**
      * Calculate best performance metrics
      */
@@ -275,7 +595,7 @@ class StatisticsCalculator {
             // Best day by XP
             if (stats.xp > bestDayXP) {
                 bestDayXP = stats.xp;
-                bestDayDate = dateKey;
+                bestDayDate = stats.date.toDateString();
             }
             
             // Best day by accuracy (excluding diagnostics since they don't have meaningful base XP)
@@ -283,12 +603,7 @@ class StatisticsCalculator {
             let nonDiagnosticBase = 0;
             
             stats.activities.forEach(activity => {
-                const type = activity.type.toLowerCase();
-                const taskName = activity.taskName || '';
-                const isQuiz = taskName.toLowerCase().includes('quiz');
-                const isDiagnostic = !isQuiz && (type === 'diagnostic' || type === 'assessment' || type === 'supplemental diagnostic');
-                
-                if (!isDiagnostic) {
+                if (!this.activityModel.isDiagnostic(activity)) {
                     nonDiagnosticEarned += activity.earned;
                     nonDiagnosticBase += activity.base;
                 }
@@ -297,7 +612,7 @@ class StatisticsCalculator {
             const accuracy = nonDiagnosticBase > 0 ? (nonDiagnosticEarned / nonDiagnosticBase) * 100 : 0;
             if (accuracy > bestAccuracy && nonDiagnosticBase > 0) {
                 bestAccuracy = accuracy;
-                bestAccuracyDate = dateKey;
+                bestAccuracyDate = stats.date.toDateString();
             }
         });
 
@@ -310,38 +625,45 @@ class StatisticsCalculator {
     }
 
     /**
-     * Get last 14 days for chart
+     * Get last 14 days for chart, ending today or, for a selected range, on its last day so far
      */
     getLast14Days() {
-        const today = new Date();
         const dailyStats = this.calculateDailyStats();
-        const last14Days = [];
+        const dayKeys = this.range ? this.getDayKeys() : [];
+        const end = dayKeys.length > 0 ? dayKeys[dayKeys.length - 1] : this.dateConfig.today();
 
-        for (let i = 13; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            const dateKey = date.toDateString();
-            
-            last14Days.push({
-                date: date,
-                label: `${date.getMonth() + 1}/${date.getDate()}`,
+        return this.dateConfig.dayRange(this.dateConfig.addDays(end, -13), end).map(dateKey => {
+            const { month, day } = this.dateConfig.parseKey(dateKey);
+
+            return {
+                date: this.dateConfig.keyToDate(dateKey),
+                label: `${month}/${day}`,
                 xp: dailyStats[dateKey] ? dailyStats[dateKey].xp : 0,
                 count: dailyStats[dateKey] ? dailyStats[dateKey].count : 0
-            });
-        }
-
-        return last14Days;
+            };
+        });
     }
 
     /**
      * Calculate time-based analysis
+     * Only activities with a real completion time are counted; date-only records sit at noon.
+     * Hours are read in the home timezone
      */
     calculateTimeAnalysis() {
         const hourlyStats = Array(24).fill(null).map(() => ({ xp: 0, count: 0 }));
+        const timedActivities = this.data.filter(activity => activity.hasTime === true);
+
+        if (timedActivities.length === 0) {
+            return {
+                hourlyStats,
+                mostProductiveHour: '',
+                maxHourlyXP: 0,
+                timedActivities: 0
+            };
+        }
         
-        this.data.forEach(activity => {
-            const date = new Date(activity.timestamp);
-            const hour = date.getHours();
+        timedActivities.forEach(activity => {
+            const hour = this.dateConfig.getHour(activity.timestamp);
             hourlyStats[hour].xp += activity.earned;
             hourlyStats[hour].count++;
         });
@@ -366,38 +688,86 @@ class StatisticsCalculator {
         return {
             hourlyStats,
             mostProductiveHour: formatHour(mostProductiveHour),
-            maxHourlyXP
+            maxHourlyXP,
+            timedActivities: timedActivities.length
         };
     }
 
     /**
-     * Filter data by time period
+     * The day range a period covers, or null for all time
+     * Periods are 'all', 'today', the calendar 'week' (Monday to Sunday), 'month', 'quarter' or
+     * 'year' containing today, or a { start, end } range of day keys. A range for a whole calendar
+     * week, month, quarter or year carries that unit, e.g. { start, end, unit: 'month' }, so it is
+     * compared with the previous unit rather than the same number of days
      */
-    filterByPeriod(period) {
-        const now = new Date();
-        let startDate;
+    getPeriodRange(period) {
+        const today = this.dateConfig.today();
+
+        if (period && typeof period === 'object') {
+            const { start, end, unit } = period;
+            if (unit) {
+                return { start, end, unit };
+            }
+            return start <= end ? { start, end } : { start: end, end: start };
+        }
 
         switch (period) {
             case 'today':
-                startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-                break;
+                return { start: today, end: today };
             case 'week':
-                startDate = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
-                break;
             case 'month':
-                startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-                break;
+            case 'quarter':
+            case 'year':
+                return { ...this.dateConfig.calendarPeriod(period, today), unit: period };
             case 'all':
             default:
-                return new StatisticsCalculator(this.data, 'all');
+                return null;
         }
+    }
 
-        const filteredData = this.data.filter(activity => {
-            const activityDate = new Date(activity.timestamp);
-            return activityDate >= startDate;
-        });
+    /**
+     * Filter data by time period (see getPeriodRange); periods are whole activity days
+     * The result also holds the previous period to compare with (see getPreviousRange)
+     */
+    filterByPeriod(period) {
+        const range = this.getPeriodRange(period);
+        if (!range) {
+            return new StatisticsCalculator(this.data, 'all', this.getOptions());
+        }
+
+        const calculator = new StatisticsCalculator(this.filterByRange(range), period, { ...this.getOptions(), range });
+
+        const previousRange = calculator.getPreviousRange();
+        if (previousRange) {
+            calculator.previous = new StatisticsCalculator(this.filterByRange(previousRange), 'previous', { ...this.getOptions(), range: previousRange });
+        }
+
+        return calculator;
+    }
+
+    /**
+     * Keep only one course's activities; null or 'all' keeps every course, and UNKNOWN_COURSE keeps
+     * the activities without one
+     * Apply before filterByPeriod, so the previous period is compared for the same course
+     */
+    filterByCourse(course) {
+        const filteredData = !course || course === 'all'
+            ? this.data
+            : course === StatisticsCalculator.UNKNOWN_COURSE
+                ? this.data.filter(activity => !activity.course)
+                : this.data.filter(activity => activity.course === course);
+
+        return new StatisticsCalculator(filteredData, this.period, this.getOptions());
+    }
 
-        return new StatisticsCalculator(filteredData, period);
+    /**
+     * Activities whose activity day falls within a { start, end } range of day keys
+     */
+    filterByRange(range) {
+        return this.data.filter(activity => {
+            const dateKey = this.dateConfig.dayKey(activity.timestamp);
+            return dateKey >= range.start && dateKey <= range.end;
+        });
     }
 
     /**
@@ -414,11 +784,16 @@ class StatisticsCalculator {
                 multisteps: 0,
                 quizzes: 0
             },
+            typeStats: this.calculateTypeStats(),
             successMetrics: {
                 perfectCount: 0,
                 passCount: 0,
                 failCount: 0,
-                successRate: 0
+                penaltyCount: 0,
+                penaltyXP: 0,
+                successRate: 0,
+                totalEarned: 0,
+                totalPossible: 0
             },
             avgXPPerDay: 0,
             dailyStats: {},
@@ -437,15 +812,35 @@ class StatisticsCalculator {
             timeAnalysis: {
                 hourlyStats: Array(24).fill({ xp: 0, count: 0 }),
                 mostProductiveHour: '',
-                maxHourlyXP: 0
-            }
+                maxHourlyXP: 0,
+                timedActivities: 0
+            },
+            streaks: {
+                current: 0,
+                currentStart: '',
+                longest: 0,
+                longestStart: '',
+                longestEnd: '',
+                minDailyXP: this.minDailyXP,
+                history: []
+            },
+            goals: this.calculateGoalStats(),
+            courseForecast: null,
+            courseStats: [],
+            comparison: this.calculateComparison()
         };
     }
 }
 
+// Number of calendar days, ending today, the forecast's pace is measured over
+StatisticsCalculator.FORECAST_WINDOW = 14;
+
+// Name the per-course statistics and the course filter use for activities without a course
+StatisticsCalculator.UNKNOWN_COURSE = 'Unknown course';
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = StatisticsCalculator;
-} else {
+} else if (typeof window !== 'undefined') {
     window.StatisticsCalculator = StatisticsCalculator;
 }
\ No newline at end of file
@@ -0,0 +1,336 @@
+/**
+ * Tabular Activity Importer
+ * Reads activity history kept in a CSV spreadsheet or a JSON file, using a column mapping
+ * (date, course, type, title, earned, base) to turn each row into a dashboard activity
+ */
+
+class TabularActivityImporter {
+    constructor(parser) {
+        this.parser = parser;
+        this.name = 'CSV/JSON';
+    }
+
+    /**
+     * Check whether a file is a CSV or JSON export
+     */
+    accepts(filename, mimeType = '') {
+        return /^(text\/csv|application\/json)/.test(mimeType) || /\.(csv|json)$/i.test(filename);
+    }
+
+    /**
+     * Parse a CSV or JSON file into activities
+     * Rows that fail validation are skipped and listed in the report with their row number
+     * Only a user import (options.userImport) asks for the column mapping; other files use the guessed one
+     */
+    async parse(arrayBuffer, source = '', options = {}) {
+        const parser = this.parser;
+        parser.report = parser.createReport(source);
+        parser.unrecognizedCourses = new Set();
+
+        const text = new TextDecoder().decode(arrayBuffer).replace(/^\uFEFF/, '');
+        const isJSON = this.isJSON(source, options.mimeType, text);
+        const { headers, records } = isJSON ? this.readJSON(text) : this.readCSV(text);
+
+        if (records.length === 0) {
+            throw new Error(`${source} has no rows to import.`);
+        }
+
+        const mapping = await this.resolveMapping(source, headers, records, !!options.userImport);
+
+        const activities = [];
+        records.forEach((record, index) => {
+            // Row numbers match what the user sees: CSV data starts on line 2, JSON entries count from 1
+            const rowNumber = isJSON ? index + 1 : index + 2;
+            try {
+                activities.push(this.buildActivity(record, mapping));
+            } catch (error) {
+                parser.report.warnings.push(`Row ${rowNumber}: ${error.message}`);
+            }
+        });
+
+        parser.activities = parser.finalizeActivities(activities);
+
+        if (parser.activities.length === 0) {
+            parser.report.warnings.push('No rows could be imported. Check the column mapping and the values in the file.');
+        }
+
+        return { activities: parser.activities, report: parser.report };
+    }
+
+    /**
+     * Decide whether a file holds JSON from its extension, then its MIME type; only when neither
+     * says is the content sniffed, so a CSV whose first cell starts with a bracket stays a CSV
+     */
+    isJSON(source, mimeType = '', text = '') {
+        if (/\.json$/i.test(source) || /^application\/json/.test(mimeType)) {
+            return true;
+        }
+        if (/\.csv$/i.test(source) || /^text\/csv/.test(mimeType)) {
+            return false;
+        }
+        return /^\s*[[{]/.test(text);
+    }
+
+    /**
+     * Read a JSON array of row objects, or an object with an "activities" array
+     */
+    readJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`The file is not valid JSON (${error.message}).`);
+        }
+
+        const records = Array.isArray(data) ? data : data && Array.isArray(data.activities) ? data.activities : null;
+        if (!records || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+            throw new Error('The JSON file must be a list of activity objects, or an object with an "activities" list.');
+        }
+
+        const headers = [];
+        records.forEach(record => {
+            Object.keys(record).forEach(key => {
+                if (!headers.includes(key)) headers.push(key);
+            });
+        });
+
+        return { headers, records };
+    }
+
+    /**
+     * Read a CSV file whose first line holds the column names
+     */
+    readCSV(text) {
+        const rows = this.parseCSV(text).filter(row => row.some(cell => cell.trim() !== ''));
+        if (rows.length === 0) {
+            return { headers: [], records: [] };
+        }
+
+        const headers = rows[0].map(header => header.trim());
+        const records = rows.slice(1).map(row => {
+            const record = {};
+            headers.forEach((header, index) => {
+                record[header] = row[index] !== undefined ? row[index] : '';
+            });
+            return record;
+        });
+
+        return { headers, records };
+    }
+
+    /**
+     * Split CSV text into rows of cells
+     * Handles quoted cells with embedded delimiters, quotes and line breaks; the delimiter
+     * (comma, semicolon or tab) is detected from the header line
+     */
+    parseCSV(text) {
+        const headerLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t']
+            .map(candidate => ({ candidate, count: headerLine.split(candidate).length }))
+            .sort((a, b) => b.count - a.count)[0].candidate;
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Guess which column holds each field from the column names
+     */
+    guessMapping(headers) {
+        const mapping = {};
+        const normalize = header => header.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+        TabularActivityImporter.FIELDS.forEach(field => {
+            const header = headers.find(candidate =>
+                field.aliases.includes(normalize(candidate)) && !Object.values(mapping).includes(candidate)
+            );
+            mapping[field.key] = header || null;
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Let the user confirm or change the guessed mapping, then check every required field is mapped
+     */
+    async resolveMapping(source, headers, records, askUser = false) {
+        let mapping = this.guessMapping(headers);
+
+        if (askUser && this.parser.columnMapper) {
+            mapping = await this.parser.columnMapper({
+                source,
+                headers,
+                mapping,
+                fields: TabularActivityImporter.FIELDS,
+                sampleRows: records.slice(0, 3)
+            });
+
+            if (!mapping) {
+                throw new Error(`Import of ${source} was cancelled.`);
+            }
+        }
+
+        const missing = TabularActivityImporter.FIELDS
+            .filter(field => field.required && !mapping[field.key])
+            .map(field => field.label.toLowerCase());
+        if (missing.length > 0) {
+            throw new Error(`No column is mapped to ${missing.join(', ')} in ${source}.`);
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Validate one row and normalize it into the activity shape the PDF parser produces
+     */
+    buildActivity(record, mapping) {
+        const value = key => {
+            const raw = mapping[key] ? record[mapping[key]] : undefined;
+            return raw === undefined || raw === null ? '' : String(raw).trim();
+        };
+
+        const dateText = value('date');
+        if (!dateText) throw new Error('the date is empty');
+
+        const timestamp = this.parseDateValue(dateText);
+        if (!timestamp) throw new Error(`"${dateText}" is not a date`);
+
+        let hasTime = timestamp.hasTime;
+        const timeText = value('time');
+        if (timeText) {
+            const time = this.parser.parseTime(timeText);
+            if (!time) throw new Error(`"${timeText}" is not a time`);
+            const { year, month, day } = this.parser.dateConfig.getParts(timestamp.date);
+            timestamp.date = this.parser.dateConfig.toInstant(year, month, day, time.hours, time.minutes);
+            hasTime = true;
+        }
+
+        const rawCourse = value('course');
+        if (!rawCourse) throw new Error('the course is empty');
+
+        const rawType = value('type');
+        if (!Activity.classify({ type: rawType })) {
+            throw new Error(`"${rawType}" is not an activity type (${Activity.TYPES.join(', ')})`);
+        }
+
+        const earned = this.parseXP(value('earned'), 'earned XP');
+        const base = value('base') ? this.parseXP(value('base'), 'base XP') : null;
+        if (base !== null && base < 0) {
+            throw new Error(`base XP "${value('base')}" cannot be negative`);
+        }
+        const isPlacement = /^(placement|supplemental)$/i.test(rawType);
+
+        return Activity.create({
+            date: dateText,
+            timestamp: timestamp.date,
+            hasTime,
+            type: rawType,
+            course: this.parser.resolveCourse(rawCourse),
+            title: value('title') || (isPlacement ? `${rawType.charAt(0).toUpperCase()}${rawType.slice(1).toLowerCase()} Activity` : ''),
+            earned,
+            base,
+            rawText: Object.values(record).filter(cell => cell !== '' && cell !== null).join('   ')
+        });
+    }
+
+    /**
+     * Parse a whole-number XP value; negative values are penalties
+     */
+    parseXP(text, label) {
+        const normalized = text.replace(/[−–]/g, '-').replace(/\s+/g, '');
+        if (!/^-?\d+$/.test(normalized)) {
+            throw new Error(`${label} "${text}" is not a whole number`);
+        }
+        return parseInt(normalized);
+    }
+
+    /**
+     * Parse a date cell into a Date
+     * Accepts ISO dates ("2025-11-25", "2025-11-25T21:41"), US dates ("11/25/2025")
+     * and MathAcademy dates ("Tue, Nov 25th, 2025"); returns null if the value is not a date.
+     * Values without a zone are read in the home timezone, and dates without a time are placed at noon
+     */
+    parseDateValue(text) {
+        const dateConfig = this.parser.dateConfig;
+        let date = null;
+        let hasTime = false;
+
+        const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?/);
+        const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+
+        if (iso && /[T ]\d{2}:\d{2}.*(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+            // A full timestamp with a zone (e.g. from toISOString) names an exact moment
+            date = new Date(text);
+            hasTime = true;
+        } else if (iso) {
+            // Dates without a zone are in the home timezone, not UTC
+            hasTime = iso[4] !== undefined;
+            date = dateConfig.toInstant(parseInt(iso[1]), parseInt(iso[2]), parseInt(iso[3]),
+                hasTime ? parseInt(iso[4]) : 12, parseInt(iso[5] || 0));
+        } else if (us) {
+            date = dateConfig.toInstant(parseInt(us[3]), parseInt(us[1]), parseInt(us[2]), 12);
+        } else if (PDFDataParser.DATE_PATTERN.test(text)) {
+            date = this.parser.parseDate(text);
+        }
+
+        if (!date || isNaN(date.getTime())) {
+            return null;
+        }
+        return { date, hasTime };
+    }
+}
+
+// Fields a row maps to; aliases are compared with column names lowercased, punctuation replaced by spaces
+TabularActivityImporter.FIELDS = [
+    { key: 'date', label: 'Date', required: true, aliases: ['date', 'day', 'completed', 'completed at', 'completed on', 'timestamp'] },
+    { key: 'time', label: 'Time', required: false, aliases: ['time', 'completed time', 'time completed'] },
+    { key: 'course', label: 'Course', required: true, aliases: ['course', 'course name', 'subject'] },
+    { key: 'type', label: 'Type', required: true, aliases: ['type', 'task', 'activity type', 'kind'] },
+    { key: 'title', label: 'Title', required: false, aliases: ['title', 'description', 'topic', 'name', 'activity'] },
+    { key: 'earned', label: 'Earned XP', required: true, aliases: ['earned', 'xp', 'xp earned', 'earned xp', 'points'] },
+    { key: 'base', label: 'Base XP', required: false, aliases: ['base', 'base xp', 'max', 'max xp', 'maxxp', 'possible xp'] }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TabularActivityImporter;
+} else if (typeof window !== 'undefined') {
+    window.TabularActivityImporter = TabularActivityImporter;
+}
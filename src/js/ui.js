@@ -6,8 +6,10 @@
 class UIController {
     constructor() {
         this.currentPeriod = 'all';
+        this.currentCourse = 'all';
         this.stats = null;
         this.originalStats = null;
+        this.selectedDay = null;
         window.uiController = this; // Make accessible globally
     }
 
@@ -25,12 +27,21 @@ class UIController {
      * Render the complete dashboard
      */
     renderDashboard() {
+        this.renderCourseFilter();
         this.renderCurrentCourse();
+        this.renderCourseForecast();
         this.renderMainStats();
+        this.renderStreaks();
+        this.renderGoals();
         this.renderActivityBreakdown();
+        this.renderInsights();
+        this.renderHeatmap();
+        this.renderCourses();
         // Check if Chart.js is available before rendering charts
         if (typeof Chart !== 'undefined') {
             this.renderInlineCharts();
+            this.renderInsightCharts();
+            this.renderTypeChart();
         } else {
             console.error('Chart.js not loaded - skipping chart rendering');
         }
@@ -64,6 +75,50 @@ class UIController {
         }
     }
 
+    /**
+     * Render the projected finish date of the current course under its name
+     * Uses all activities, whatever period is selected
+     */
+    renderCourseForecast() {
+        const forecastElement = document.getElementById('course-forecast');
+        if (!forecastElement) return;
+
+        const forecast = this.originalStats && this.originalStats.courseForecast;
+        const formatDay = dateKey => DateConfig.keyToDate(dateKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        const lines = [];
+
+        this.renderCourseTotalSetting(forecast);
+
+        if (!forecast) {
+            forecastElement.textContent = '';
+            return;
+        }
+
+        if (forecast.status === 'unknown') {
+            lines.push(`${forecast.earned.toLocaleString()} XP earned; enter the course's total XP in settings (⚙️) to project a finish date`);
+        } else {
+            lines.push(`${forecast.earned.toLocaleString()} of ${forecast.totalXP.toLocaleString()} XP (${forecast.percentComplete}%)`);
+        }
+
+        if (forecast.status === 'complete') {
+            lines.push('All of the course\'s expected XP has been earned');
+        } else if (forecast.status === 'no-pace') {
+            lines.push(`No XP in the last ${StatisticsCalculator.FORECAST_WINDOW} days to project a finish date from`);
+        } else if (forecast.status === 'forecast') {
+            const range = forecast.latestDate
+                ? `between ${formatDay(forecast.earliestDate)} and ${formatDay(forecast.latestDate)}`
+                : `${formatDay(forecast.earliestDate)} at the earliest`;
+            lines.push(`Projected finish ${formatDay(forecast.finishDate)} at ${forecast.pace} XP/day (${range})`);
+        }
+
+        forecastElement.innerHTML = '';
+        lines.forEach(text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            forecastElement.appendChild(line);
+        });
+    }
+
     /**
      * Render main statistics cards
      */
@@ -81,6 +136,187 @@ class UIController {
                 element.textContent = value;
             }
         });
+
+        const comparison = this.stats.comparison;
+        this.renderDelta('total-xp-delta', comparison && comparison.totalXP);
+        this.renderDelta('total-activities-delta', comparison && comparison.totalActivities);
+        this.renderDelta('avg-xp-day-delta', comparison && comparison.avgXPPerDay);
+        this.renderDelta('success-rate-delta', comparison && comparison.successRate, ' pts');
+    }
+
+    /**
+     * Show the change from the previous period under a stat, e.g. "+120 (+15%) vs Oct 6 – 12"
+     * Hidden when there is nothing to compare with (all time, or no attainment in one period)
+     */
+    renderDelta(id, delta, unit = '') {
+        const element = document.getElementById(id);
+        if (!element) return;
+
+        element.hidden = !delta;
+        element.classList.remove('up', 'down');
+        if (!delta) return;
+
+        const signed = value => `${value > 0 ? '+' : value < 0 ? '−' : '±'}${Math.abs(value).toLocaleString()}`;
+        const percent = delta.percentChange !== null ? ` (${signed(delta.percentChange)}%)` : '';
+        const range = this.stats.comparison.previousRange;
+        const formatDay = dateKey => DateConfig.keyToDate(dateKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+        element.textContent = `${signed(delta.change)}${unit}${percent} vs ${range.start === range.end ? formatDay(range.start) : `${formatDay(range.start)} – ${formatDay(range.end)}`}`;
+        element.title = `Previous period: ${delta.previous.toLocaleString()}`;
+        if (delta.change !== 0) {
+            element.classList.add(delta.change > 0 ? 'up' : 'down');
+        }
+    }
+
+    /**
+     * Render the streak card: current and longest streak, and the most recent streaks
+     * Streaks always cover the whole log, so a period or course filter can't cut one short
+     */
+    renderStreaks() {
+        const streaks = this.originalStats && this.originalStats.streaks;
+        if (!streaks) return;
+
+        const formatDay = dateKey => DateConfig.keyToDate(dateKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        const formatDays = count => `${count} ${count === 1 ? 'day' : 'days'}`;
+        const formatRange = (start, end) => start === end ? formatDay(start) : `${formatDay(start)} – ${formatDay(end)}`;
+
+        const elements = {
+            'current-streak': formatDays(streaks.current),
+            'current-streak-dates': streaks.current > 0 ? `since ${formatDay(streaks.currentStart)}` : 'no activity yesterday or today',
+            'longest-streak': formatDays(streaks.longest),
+            'longest-streak-dates': streaks.longest > 0 ? formatRange(streaks.longestStart, streaks.longestEnd) : ''
+        };
+
+        Object.entries(elements).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = value;
+            }
+        });
+
+        const historyElement = document.getElementById('streak-history');
+        if (historyElement) {
+            historyElement.innerHTML = '';
+            streaks.history
+                .slice(-UIController.STREAK_HISTORY_LENGTH)
+                .reverse()
+                .forEach(streak => {
+                    const item = document.createElement('li');
+                    item.className = 'streak-history-item';
+                    item.textContent = `${formatRange(streak.start, streak.end)} · ${formatDays(streak.length)}`;
+                    item.title = `${streak.xp.toLocaleString()} XP`;
+                    historyElement.appendChild(item);
+                });
+        }
+    }
+
+    /**
+     * Read the saved minimum daily XP for a streak day
+     */
+    loadStreakMinimum() {
+        const saved = parseInt(localStorage.getItem('streakMinXP'));
+        return saved > 0 ? saved : 0;
+    }
+
+    /**
+     * Save a new minimum daily XP for streaks and recalculate the dashboard with it
+     */
+    setStreakMinimum(minDailyXP) {
+        const value = minDailyXP > 0 ? minDailyXP : 0;
+        localStorage.setItem('streakMinXP', value);
+
+        const calculator = this.originalStats && this.originalStats.calculator;
+        if (calculator) {
+            calculator.setMinDailyXP(value);
+            this.recalculate();
+        }
+    }
+
+    /**
+     * Render progress towards today's and this week's goal, and how often each goal was hit
+     * Progress always uses all activities; hit rates follow the selected period
+     */
+    renderGoals() {
+        const allGoals = this.originalStats && this.originalStats.goals;
+        const periodGoals = this.stats.goals;
+        if (!allGoals || !periodGoals) return;
+
+        const labels = { daily: 'days', weekly: 'whole weeks' };
+
+        ['daily', 'weekly'].forEach(period => {
+            const goal = allGoals[period];
+            const periodGoal = periodGoals[period];
+            const amountElement = document.getElementById(`${period}-goal-amount`);
+            const barElement = document.getElementById(`${period}-goal-bar`);
+            const hitRateElement = document.getElementById(`${period}-goal-hit-rate`);
+
+            if (amountElement) {
+                amountElement.textContent = goal
+                    ? `${goal.current.toLocaleString()} / ${goal.target.toLocaleString()} XP${goal.hit ? ' ✓' : ''}`
+                    : 'No goal set';
+            }
+            if (barElement) {
+                barElement.value = goal ? Math.min(goal.progress, 100) : 0;
+                barElement.hidden = !goal;
+            }
+            if (hitRateElement) {
+                hitRateElement.textContent = periodGoal && periodGoal.tracked > 0
+                    ? `Hit on ${periodGoal.hits} of ${periodGoal.tracked} ${labels[period]} (${periodGoal.hitRate}%)`
+                    : '';
+                hitRateElement.title = period === 'weekly'
+                    ? 'Weeks the selected period only partly covers are left out, rather than measured against the whole weekly goal'
+                    : '';
+            }
+        });
+    }
+
+    /**
+     * Show the current course's total XP in the settings panel
+     */
+    renderCourseTotalSetting(forecast) {
+        const input = document.getElementById('setting-course-total');
+        const label = document.getElementById('setting-course-total-label');
+        if (!input) return;
+
+        input.disabled = !forecast;
+        input.value = forecast && forecast.totalXP ? forecast.totalXP : '';
+        if (label) {
+            label.textContent = forecast ? `Total XP of ${forecast.course}` : 'Current course total XP';
+        }
+    }
+
+    /**
+     * Save the current course's total XP and recalculate the forecast with it
+     */
+    setCourseTotal(totalXP) {
+        const forecast = this.originalStats && this.originalStats.courseForecast;
+        if (!forecast) return;
+
+        CourseTotals.set(forecast.course, totalXP);
+        this.recalculate();
+    }
+
+    /**
+     * Save new daily and weekly goals and recalculate the dashboard with them
+     */
+    setGoals(goals) {
+        const saved = XPGoals.set(goals);
+
+        const calculator = this.originalStats && this.originalStats.calculator;
+        if (calculator) {
+            calculator.setGoals(saved);
+            this.recalculate();
+        }
+    }
+
+    /**
+     * Recalculate all statistics after a setting that affects them has changed
+     */
+    recalculate() {
+        const calculator = this.originalStats.calculator;
+        const stats = calculator.calculateStats();
+        stats.calculator = calculator;
+        this.updateStats(stats);
     }
 
     /**
@@ -90,8 +326,8 @@ class UIController {
         // Clear label trackers for fresh render
         window.chartLabelTrackers = {};
 
-        if (this.currentPeriod === 'today') {
-            // Hide all charts for today view
+        if (this.getChartView() === 'hidden') {
+            // Hide all charts for single-day periods
             ['total-xp-chart', 'total-activities-chart', 'avg-xp-chart', 'success-rate-chart'].forEach(id => {
                 const canvas = document.getElementById(id);
                 if (canvas) canvas.style.display = 'none';
@@ -111,6 +347,77 @@ class UIController {
         this.renderSuccessRateChart();
     }
 
+    /**
+     * Point radius and colours that mark goals on a line chart
+     * Hit goals use the accent colour and missed goals are grey; unmarked points are hidden
+     */
+    getGoalPointStyle(markers) {
+        const accent = document.body.classList.contains('dark-mode') ? '#ff6b85' : '#4c0519';
+        const missed = '#8a8a8a';
+
+        return {
+            pointRadius: markers.map(marker => marker ? 3 : 0),
+            pointBackgroundColor: markers.map(marker => marker === 'missed' ? missed : accent),
+            pointBorderColor: markers.map(marker => marker === 'missed' ? missed : accent)
+        };
+    }
+
+    /**
+     * A faint dashed line with the same chart for the previous period, lined up day by day with
+     * the current one; empty when the period has nothing to compare with
+     */
+    getGhostDatasets(getData, length) {
+        const previous = this.stats.calculator ? this.stats.calculator.previous : null;
+        if (!previous || previous.data.length === 0 || !window.ChartHelpers) {
+            return [];
+        }
+
+        return [{
+            data: getData({ calculator: previous }).values.slice(0, length),
+            borderColor: document.body.classList.contains('dark-mode') ? 'rgba(204, 204, 204, 0.45)' : 'rgba(122, 122, 122, 0.45)',
+            borderWidth: 1.5,
+            borderDash: [4, 4],
+            fill: false,
+            tension: 0.4,
+            pointRadius: 0,
+            pointHoverRadius: 0
+        }];
+    }
+
+    /**
+     * Chart.js plugin that draws a dashed horizontal line at a goal
+     */
+    createGoalLinePlugin(target) {
+        return {
+            id: 'goalLine',
+            afterDraw: (chart) => {
+                if (!target) return;
+
+                const ctx = chart.ctx;
+                const yAxis = chart.scales.y;
+                const xAxis = chart.scales.x;
+                const y = yAxis.getPixelForValue(target);
+                if (y < yAxis.top || y > yAxis.bottom) return;
+
+                ctx.save();
+                ctx.strokeStyle = document.body.classList.contains('dark-mode') ? 'rgba(204, 204, 204, 0.7)' : 'rgba(122, 122, 122, 0.7)';
+                ctx.lineWidth = 1;
+                ctx.setLineDash([2, 3]);
+                ctx.beginPath();
+                ctx.moveTo(xAxis.left, y);
+                ctx.lineTo(xAxis.right, y);
+                ctx.stroke();
+
+                ctx.fillStyle = document.body.classList.contains('dark-mode') ? '#cccccc' : '#7a7a7a';
+                ctx.font = '10px system-ui';
+                ctx.textAlign = 'right';
+                ctx.textBaseline = 'bottom';
+                ctx.fillText(`Goal ${target}`, xAxis.right, y - 2);
+                ctx.restore();
+            }
+        };
+    }
+
     /**
      * Render cumulative XP chart
      */
@@ -126,11 +433,20 @@ class UIController {
         }
 
         // Get data based on current period
-        const isWeekView = this.currentPeriod === 'week';
+        const isDailyView = this.getChartView() === 'days';
         const cumulativeData = window.ChartHelpers ?
-            (isWeekView ? ChartHelpers.getWeeklyCumulativeXPData(this.stats) : ChartHelpers.getCumulativeXPData(this.stats))
+            (isDailyView ? ChartHelpers.getWeeklyCumulativeXPData(this.stats) : ChartHelpers.getCumulativeXPData(this.stats))
             : { labels: [], values: [], transitions: {} };
 
+        // The previous period, drawn behind for comparison
+        const ghostDatasets = this.getGhostDatasets(stats =>
+            isDailyView ? ChartHelpers.getWeeklyCumulativeXPData(stats) : ChartHelpers.getCumulativeXPData(stats), cumulativeData.labels.length);
+
+        // Mark the end of each week that hit or missed the weekly goal (a 7-day window has no whole weeks)
+        const weeklyGoal = !isDailyView && this.stats.goals ? this.stats.goals.weekly : null;
+        const goalStyle = this.getGoalPointStyle(window.ChartHelpers ?
+            ChartHelpers.getGoalMarkers(cumulativeData.labels, weeklyGoal, 'weekly') : []);
+
         // Find transition points for vertical lines
         const transitionLines = [];
         const transitionLabels = [];
@@ -157,12 +473,11 @@ class UIController {
                     backgroundColor: document.body.classList.contains('dark-mode') ? 'rgba(255, 107, 133, 0.2)' : 'rgba(76, 5, 25, 0.1)',
                     borderWidth: 2,
                     fill: true,
-                    tension: isWeekView ? 0.4 : 0,
-                    pointRadius: 0,
+                    tension: isDailyView ? 0.4 : 0,
+                    ...goalStyle,
                     pointHoverRadius: 0,
-                    pointBackgroundColor: document.body.classList.contains('dark-mode') ? '#ff6b85' : '#4c0519',
                     clip: false
-                }]
+                }, ...ghostDatasets]
             },
             plugins: [{
                 id: 'transitionLines',
@@ -192,15 +507,7 @@ class UIController {
                         ctx.stroke();
 
                         // Abbreviate course names for compact display
-                        // Must replace longer strings first to avoid partial matches
-                        const abbreviate = (courseName) => {
-                            return courseName
-                                .replace('Mathematical Foundations III', 'MFIII')
-                                .replace('Mathematical Foundations II', 'MFII')
-                                .replace('Mathematical Foundations I', 'MFI')
-                                .replace('Mathematics for Machine Learning', 'M4ML');
-                        };
-                        const labelText = `${abbreviate(line.transition.from)} → ${abbreviate(line.transition.to)}`;
+                        const labelText = `${CourseCatalog.abbreviate(line.transition.from)} → ${CourseCatalog.abbreviate(line.transition.to)}`;
 
                         // Set label style
                         ctx.fillStyle = document.body.classList.contains('dark-mode') ? 'rgba(255, 107, 133, 1)' : 'rgba(76, 5, 25, 0.7)';
@@ -247,33 +554,33 @@ class UIController {
                             minRotation: 0,
                             autoSkip: false,
                             callback: function(value, index, values) {
-                                const currentPeriod = window.uiController ? window.uiController.currentPeriod : 'all';
+                                const chartView = window.uiController ? window.uiController.getChartView() : 'all';
                                 
-                                if (currentPeriod === 'today') {
-                                    return ''; // No labels for today view
+                                if (chartView === 'hidden') {
+                                    return ''; // No labels for single-day periods
                                 }
                                 
                                 const dateStr = this.getLabelForValue(value);
-                                const date = new Date(dateStr);
+                                const date = DateConfig.keyToDate(dateStr);
                                 
-                                if (currentPeriod === 'week') {
+                                if (chartView === 'days') {
                                     const dayLabel = date.toLocaleDateString('en-US', { weekday: 'short' });
                                     // Show first occurrence of each day
                                     if (index === 0) return dayLabel;
                                     const prevDateStr = this.getLabelForValue(value - 1);
-                                    const prevDate = new Date(prevDateStr);
+                                    const prevDate = DateConfig.keyToDate(prevDateStr);
                                     const prevDayLabel = prevDate.toLocaleDateString('en-US', { weekday: 'short' });
                                     return dayLabel !== prevDayLabel ? dayLabel : '';
                                 } else {
                                     const monthLabel = date.toLocaleDateString('en-US', { month: 'short' });
-                                    // Filter out August (month index 7) and earlier months
-                                    if (date.getMonth() < 8) { // Don't show August or earlier months
+                                    // Filter out August (month index 7) and earlier months from the all-time view
+                                    if (chartView === 'all' && date.getMonth() < 8) { // Don't show August or earlier months
                                         return '';
                                     }
                                     // Show first occurrence of each month
                                     if (index === 0) return monthLabel;
                                     const prevDateStr = this.getLabelForValue(value - 1);
-                                    const prevDate = new Date(prevDateStr);
+                                    const prevDate = DateConfig.keyToDate(prevDateStr);
                                     const prevMonthLabel = prevDate.toLocaleDateString('en-US', { month: 'short' });
                                     return monthLabel !== prevMonthLabel ? monthLabel : '';
                                 }
@@ -286,9 +593,9 @@ class UIController {
                         grid: { display: false },
                         min: 0,
                         max: function(context) {
-                            const max = Math.max(...context.chart.data.datasets[0].data);
-                            if (isWeekView) {
-                                // For week view, use more granular rounding
+                            const max = Math.max(...context.chart.data.datasets.flatMap(dataset => dataset.data));
+                            if (isDailyView) {
+                                // For short ranges, use more granular rounding
                                 if (max <= 100) return Math.ceil(max * 1.2 / 10) * 10;
                                 if (max <= 500) return Math.ceil(max * 1.2 / 50) * 50;
                                 return Math.ceil(max * 1.2 / 100) * 100;
@@ -330,10 +637,14 @@ class UIController {
             this.activitiesChart.destroy();
         }
 
-        const isWeekView = this.currentPeriod === 'week';
+        const isDailyView = this.getChartView() === 'days';
         const cumulativeData = window.ChartHelpers ?
-            (isWeekView ? ChartHelpers.getWeeklyCumulativeActivitiesData(this.stats) : ChartHelpers.getCumulativeActivitiesData(this.stats))
+            (isDailyView ? ChartHelpers.getWeeklyCumulativeActivitiesData(this.stats) : ChartHelpers.getCumulativeActivitiesData(this.stats))
             : { labels: [], values: [], transitions: {} };
+
+        // The previous period, drawn behind for comparison
+        const ghostDatasets = this.getGhostDatasets(stats =>
+            isDailyView ? ChartHelpers.getWeeklyCumulativeActivitiesData(stats) : ChartHelpers.getCumulativeActivitiesData(stats), cumulativeData.labels.length);
         
         // Find transition points for vertical lines
         const transitionLines = [];
@@ -361,11 +672,11 @@ class UIController {
                     backgroundColor: document.body.classList.contains('dark-mode') ? 'rgba(255, 107, 133, 0.2)' : 'rgba(76, 5, 25, 0.1)',
                     borderWidth: 2,
                     fill: true,
-                    tension: isWeekView ? 0.4 : 0.4,
+                    tension: isDailyView ? 0.4 : 0.4,
                     pointRadius: 0,
                     pointBackgroundColor: document.body.classList.contains('dark-mode') ? '#ff6b85' : '#4c0519',
                     clip: false
-                }]
+                }, ...ghostDatasets]
             },
             plugins: [{
                 id: 'transitionLines',
@@ -395,15 +706,7 @@ class UIController {
                         ctx.stroke();
 
                         // Abbreviate course names for compact display
-                        // Must replace longer strings first to avoid partial matches
-                        const abbreviate = (courseName) => {
-                            return courseName
-                                .replace('Mathematical Foundations III', 'MFIII')
-                                .replace('Mathematical Foundations II', 'MFII')
-                                .replace('Mathematical Foundations I', 'MFI')
-                                .replace('Mathematics for Machine Learning', 'M4ML');
-                        };
-                        const labelText = `${abbreviate(line.transition.from)} → ${abbreviate(line.transition.to)}`;
+                        const labelText = `${CourseCatalog.abbreviate(line.transition.from)} → ${CourseCatalog.abbreviate(line.transition.to)}`;
 
                         // Set label style
                         ctx.fillStyle = document.body.classList.contains('dark-mode') ? 'rgba(255, 107, 133, 1)' : 'rgba(76, 5, 25, 0.7)';
@@ -450,33 +753,33 @@ class UIController {
                             minRotation: 0,
                             autoSkip: false,
                             callback: function(value, index, values) {
-                                const currentPeriod = window.uiController ? window.uiController.currentPeriod : 'all';
+                                const chartView = window.uiController ? window.uiController.getChartView() : 'all';
                                 
-                                if (currentPeriod === 'today') {
-                                    return ''; // No labels for today view
+                                if (chartView === 'hidden') {
+                                    return ''; // No labels for single-day periods
                                 }
                                 
                                 const dateStr = this.getLabelForValue(value);
-                                const date = new Date(dateStr);
+                                const date = DateConfig.keyToDate(dateStr);
                                 
-                                if (currentPeriod === 'week') {
+                                if (chartView === 'days') {
                                     const dayLabel = date.toLocaleDateString('en-US', { weekday: 'short' });
                                     // Show first occurrence of each day
                                     if (index === 0) return dayLabel;
                                     const prevDateStr = this.getLabelForValue(value - 1);
-                                    const prevDate = new Date(prevDateStr);
+                                    const prevDate = DateConfig.keyToDate(prevDateStr);
                                     const prevDayLabel = prevDate.toLocaleDateString('en-US', { weekday: 'short' });
                                     return dayLabel !== prevDayLabel ? dayLabel : '';
                                 } else {
                                     const monthLabel = date.toLocaleDateString('en-US', { month: 'short' });
-                                    // Filter out August (month index 7) and earlier months
-                                    if (date.getMonth() < 8) { // Don't show August or earlier months
+                                    // Filter out August (month index 7) and earlier months from the all-time view
+                                    if (chartView === 'all' && date.getMonth() < 8) { // Don't show August or earlier months
                                         return '';
                                     }
                                     // Show first occurrence of each month
                                     if (index === 0) return monthLabel;
                                     const prevDateStr = this.getLabelForValue(value - 1);
-                                    const prevDate = new Date(prevDateStr);
+                                    const prevDate = DateConfig.keyToDate(prevDateStr);
                                     const prevMonthLabel = prevDate.toLocaleDateString('en-US', { month: 'short' });
                                     return monthLabel !== prevMonthLabel ? monthLabel : '';
                                 }
@@ -489,9 +792,9 @@ class UIController {
                         grid: { display: false },
                         min: 0,
                         max: function(context) {
-                            const max = Math.max(...context.chart.data.datasets[0].data);
-                            if (isWeekView) {
-                                // For week view, use more granular rounding
+                            const max = Math.max(...context.chart.data.datasets.flatMap(dataset => dataset.data));
+                            if (isDailyView) {
+                                // For short ranges, use more granular rounding
                                 if (max <= 20) return Math.ceil(max * 1.2 / 2) * 2;
                                 if (max <= 50) return Math.ceil(max * 1.2 / 5) * 5;
                                 return Math.ceil(max * 1.2 / 10) * 10;
@@ -522,10 +825,20 @@ class UIController {
             this.avgXPChart.destroy();
         }
 
-        const isWeekView = this.currentPeriod === 'week';
+        const isDailyView = this.getChartView() === 'days';
         const avgData = window.ChartHelpers ?
-            (isWeekView ? ChartHelpers.getDailyXPData(this.stats) : ChartHelpers.getAvgXPOverTimeData(this.stats))
+            (isDailyView ? ChartHelpers.getDailyXPData(this.stats) : ChartHelpers.getAvgXPOverTimeData(this.stats))
             : { labels: [], values: [], transitions: {} };
+
+        // The previous period, drawn behind for comparison
+        const ghostDatasets = this.getGhostDatasets(stats =>
+            isDailyView ? ChartHelpers.getDailyXPData(stats) : ChartHelpers.getAvgXPOverTimeData(stats), avgData.labels.length);
+
+        // Draw the daily goal and mark each day that hit or missed it
+        const dailyGoal = this.stats.goals ? this.stats.goals.daily : null;
+        const goalTarget = dailyGoal ? dailyGoal.target : null;
+        const goalStyle = this.getGoalPointStyle(window.ChartHelpers ?
+            ChartHelpers.getGoalMarkers(avgData.labels, dailyGoal) : []);
         
         // Find transition points for vertical lines
         const transitionLines = [];
@@ -552,12 +865,11 @@ class UIController {
                     backgroundColor: document.body.classList.contains('dark-mode') ? 'rgba(255, 107, 133, 0.2)' : 'rgba(76, 5, 25, 0.1)',
                     borderWidth: 2,
                     fill: true,
-                    tension: isWeekView ? 0.4 : 0.4,
-                    pointRadius: 0,
-                    pointBackgroundColor: document.body.classList.contains('dark-mode') ? '#ff6b85' : '#4c0519'
-                }]
+                    tension: isDailyView ? 0.4 : 0.4,
+                    ...goalStyle
+                }, ...ghostDatasets]
             },
-            plugins: [{
+            plugins: [this.createGoalLinePlugin(goalTarget), {
                 id: 'transitionLines',
                 afterDraw: (chart) => {
                     if (transitionLines.length === 0) return;
@@ -585,15 +897,7 @@ class UIController {
                         ctx.stroke();
 
                         // Abbreviate course names for compact display
-                        // Must replace longer strings first to avoid partial matches
-                        const abbreviate = (courseName) => {
-                            return courseName
-                                .replace('Mathematical Foundations III', 'MFIII')
-                                .replace('Mathematical Foundations II', 'MFII')
-                                .replace('Mathematical Foundations I', 'MFI')
-                                .replace('Mathematics for Machine Learning', 'M4ML');
-                        };
-                        const labelText = `${abbreviate(line.transition.from)} → ${abbreviate(line.transition.to)}`;
+                        const labelText = `${CourseCatalog.abbreviate(line.transition.from)} → ${CourseCatalog.abbreviate(line.transition.to)}`;
 
                         // Set label style
                         ctx.fillStyle = document.body.classList.contains('dark-mode') ? 'rgba(255, 107, 133, 1)' : 'rgba(76, 5, 25, 0.7)';
@@ -640,33 +944,33 @@ class UIController {
                             minRotation: 0,
                             autoSkip: false,
                             callback: function(value, index, values) {
-                                const currentPeriod = window.uiController ? window.uiController.currentPeriod : 'all';
+                                const chartView = window.uiController ? window.uiController.getChartView() : 'all';
                                 
-                                if (currentPeriod === 'today') {
-                                    return ''; // No labels for today view
+                                if (chartView === 'hidden') {
+                                    return ''; // No labels for single-day periods
                                 }
                                 
                                 const dateStr = this.getLabelForValue(value);
-                                const date = new Date(dateStr);
+                                const date = DateConfig.keyToDate(dateStr);
                                 
-                                if (currentPeriod === 'week') {
+                                if (chartView === 'days') {
                                     const dayLabel = date.toLocaleDateString('en-US', { weekday: 'short' });
                                     // Show first occurrence of each day
                                     if (index === 0) return dayLabel;
                                     const prevDateStr = this.getLabelForValue(value - 1);
-                                    const prevDate = new Date(prevDateStr);
+                                    const prevDate = DateConfig.keyToDate(prevDateStr);
                                     const prevDayLabel = prevDate.toLocaleDateString('en-US', { weekday: 'short' });
                                     return dayLabel !== prevDayLabel ? dayLabel : '';
                                 } else {
                                     const monthLabel = date.toLocaleDateString('en-US', { month: 'short' });
-                                    // Filter out August (month index 7) and earlier months
-                                    if (date.getMonth() < 8) { // Don't show August or earlier months
+                                    // Filter out August (month index 7) and earlier months from the all-time view
+                                    if (chartView === 'all' && date.getMonth() < 8) { // Don't show August or earlier months
                                         return '';
                                     }
                                     // Show first occurrence of each month
                                     if (index === 0) return monthLabel;
                                     const prevDateStr = this.getLabelForValue(value - 1);
-                                    const prevDate = new Date(prevDateStr);
+                                    const prevDate = DateConfig.keyToDate(prevDateStr);
                                     const prevMonthLabel = prevDate.toLocaleDateString('en-US', { month: 'short' });
                                     return monthLabel !== prevMonthLabel ? monthLabel : '';
                                 }
@@ -678,14 +982,14 @@ class UIController {
                         position: 'left',
                         grid: { display: false },
                         min: function(context) {
-                            if (isWeekView) return 0;
-                            const min = Math.min(...context.chart.data.datasets[0].data);
+                            if (isDailyView) return 0;
+                            const min = Math.min(...context.chart.data.datasets.flatMap(dataset => dataset.data), goalTarget || Infinity);
                             return Math.floor(min * 0.9 / 10) * 10; // Round down to nearest 10
                         },
                         max: function(context) {
-                            const max = Math.max(...context.chart.data.datasets[0].data);
-                            if (isWeekView) {
-                                // For week view, use more granular rounding
+                            const max = Math.max(...context.chart.data.datasets.flatMap(dataset => dataset.data), goalTarget || 0);
+                            if (isDailyView) {
+                                // For short ranges, use more granular rounding
                                 if (max <= 100) return Math.ceil(max * 1.2 / 10) * 10;
                                 if (max <= 500) return Math.ceil(max * 1.2 / 50) * 50;
                                 return Math.ceil(max * 1.2 / 100) * 100;
@@ -716,10 +1020,14 @@ class UIController {
             this.successChart.destroy();
         }
 
-        const isWeekView = this.currentPeriod === 'week';
+        const isDailyView = this.getChartView() === 'days';
         const successData = window.ChartHelpers ?
-            (isWeekView ? ChartHelpers.getDailyAttainmentData(this.stats) : ChartHelpers.getSuccessRateOverTimeData(this.stats))
+            (isDailyView ? ChartHelpers.getDailyAttainmentData(this.stats) : ChartHelpers.getSuccessRateOverTimeData(this.stats))
             : { labels: [], values: [], transitions: {} };
+
+        // The previous period, drawn behind for comparison
+        const ghostDatasets = this.getGhostDatasets(stats =>
+            isDailyView ? ChartHelpers.getDailyAttainmentData(stats) : ChartHelpers.getSuccessRateOverTimeData(stats), successData.labels.length);
         
         // Find transition points for vertical lines
         const transitionLines = [];
@@ -746,10 +1054,10 @@ class UIController {
                     backgroundColor: document.body.classList.contains('dark-mode') ? 'rgba(255, 107, 133, 0.2)' : 'rgba(76, 5, 25, 0.1)',
                     borderWidth: 2,
                     fill: true,
-                    tension: isWeekView ? 0.4 : 0.4,
+                    tension: isDailyView ? 0.4 : 0.4,
                     pointRadius: 0,
                     pointBackgroundColor: document.body.classList.contains('dark-mode') ? '#ff6b85' : '#4c0519'
-                }]
+                }, ...ghostDatasets]
             },
             plugins: [{
                 id: 'transitionLines',
@@ -779,15 +1087,7 @@ class UIController {
                         ctx.stroke();
 
                         // Abbreviate course names for compact display
-                        // Must replace longer strings first to avoid partial matches
-                        const abbreviate = (courseName) => {
-                            return courseName
-                                .replace('Mathematical Foundations III', 'MFIII')
-                                .replace('Mathematical Foundations II', 'MFII')
-                                .replace('Mathematical Foundations I', 'MFI')
-                                .replace('Mathematics for Machine Learning', 'M4ML');
-                        };
-                        const labelText = `${abbreviate(line.transition.from)} → ${abbreviate(line.transition.to)}`;
+                        const labelText = `${CourseCatalog.abbreviate(line.transition.from)} → ${CourseCatalog.abbreviate(line.transition.to)}`;
 
                         // Set label style
                         ctx.fillStyle = document.body.classList.contains('dark-mode') ? 'rgba(255, 107, 133, 1)' : 'rgba(76, 5, 25, 0.7)';
@@ -834,33 +1134,33 @@ class UIController {
                             minRotation: 0,
                             autoSkip: false,
                             callback: function(value, index, values) {
-                                const currentPeriod = window.uiController ? window.uiController.currentPeriod : 'all';
+                                const chartView = window.uiController ? window.uiController.getChartView() : 'all';
                                 
-                                if (currentPeriod === 'today') {
-                                    return ''; // No labels for today view
+                                if (chartView === 'hidden') {
+                                    return ''; // No labels for single-day periods
                                 }
                                 
                                 const dateStr = this.getLabelForValue(value);
-                                const date = new Date(dateStr);
+                                const date = DateConfig.keyToDate(dateStr);
                                 
-                                if (currentPeriod === 'week') {
+                                if (chartView === 'days') {
                                     const dayLabel = date.toLocaleDateString('en-US', { weekday: 'short' });
                                     // Show first occurrence of each day
                                     if (index === 0) return dayLabel;
                                     const prevDateStr = this.getLabelForValue(value - 1);
-                                    const prevDate = new Date(prevDateStr);
+                                    const prevDate = DateConfig.keyToDate(prevDateStr);
                                     const prevDayLabel = prevDate.toLocaleDateString('en-US', { weekday: 'short' });
                                     return dayLabel !== prevDayLabel ? dayLabel : '';
                                 } else {
                                     const monthLabel = date.toLocaleDateString('en-US', { month: 'short' });
-                                    // Filter out August (month index 7) and earlier months
-                                    if (date.getMonth() < 8) { // Don't show August or earlier months
+                                    // Filter out August (month index 7) and earlier months from the all-time view
+                                    if (chartView === 'all' && date.getMonth() < 8) { // Don't show August or earlier months
                                         return '';
                                     }
                                     // Show first occurrence of each month
                                     if (index === 0) return monthLabel;
                                     const prevDateStr = this.getLabelForValue(value - 1);
-                                    const prevDate = new Date(prevDateStr);
+                                    const prevDate = DateConfig.keyToDate(prevDateStr);
                                     const prevMonthLabel = prevDate.toLocaleDateString('en-US', { month: 'short' });
                                     return monthLabel !== prevMonthLabel ? monthLabel : '';
                                 }
@@ -872,16 +1172,16 @@ class UIController {
                         position: 'left',
                         grid: { display: false },
                         min: function(context) {
-                            if (isWeekView) {
-                                const min = Math.min(...context.chart.data.datasets[0].data);
+                            if (isDailyView) {
+                                const min = Math.min(...context.chart.data.datasets.flatMap(dataset => dataset.data));
                                 return Math.max(0, Math.floor(min * 0.9 / 10) * 10);
                             }
-                            const min = Math.min(...context.chart.data.datasets[0].data);
+                            const min = Math.min(...context.chart.data.datasets.flatMap(dataset => dataset.data));
                             return Math.floor(min * 0.9 / 10) * 10; // Round down to nearest 10
                         },
                         max: function(context) {
-                            const max = Math.max(...context.chart.data.datasets[0].data);
-                            if (isWeekView) {
+                            const max = Math.max(...context.chart.data.datasets.flatMap(dataset => dataset.data));
+                            if (isDailyView) {
                                 // Allow values above 100%
                                 return Math.ceil(max * 1.1 / 10) * 10;
                             }
@@ -920,6 +1220,411 @@ class UIController {
                 element.textContent = value;
             }
         });
+
+        const comparison = this.stats.comparison;
+        Object.keys(counts).forEach(key => {
+            this.renderDelta(`${key}-delta`, comparison && comparison.activityCounts[key]);
+        });
+
+        // XP, attainment and outcomes of each type
+        const typeStats = this.stats.typeStats || {};
+        Object.entries(typeStats).forEach(([key, type]) => {
+            const element = document.getElementById(`${key}-details`);
+            if (!element) return;
+
+            element.innerHTML = '';
+            if (type.count === 0) return;
+
+            [
+                `${type.earned.toLocaleString()} XP · ${type.xpShare}% of XP`,
+                `${type.attainment}% attainment · ${type.avgXP} XP avg`,
+                `${type.perfectCount} perfect · ${type.passCount} pass · ${type.failCount} fail`
+            ].forEach(text => {
+                const line = document.createElement('div');
+                line.textContent = text;
+                element.appendChild(line);
+            });
+            element.title = `${type.earned.toLocaleString()} of ${type.possible.toLocaleString()} possible XP`;
+        });
+    }
+
+    /**
+     * Render the insights panel: best weekday, most productive hour, best XP day and best accuracy day
+     */
+    renderInsights() {
+        const { weekdayStats, timeAnalysis, bestPerformance } = this.stats;
+        const hasData = this.stats.totalActivities > 0;
+
+        const insights = {
+            'best-weekday': [
+                weekdayStats.bestWeekday || '–',
+                weekdayStats.bestWeekday ? `${weekdayStats.bestWeekdayAvg} XP per activity` : ''
+            ],
+            'productive-hour': [
+                timeAnalysis.timedActivities > 0 ? timeAnalysis.mostProductiveHour : '–',
+                timeAnalysis.timedActivities > 0
+                    ? `${timeAnalysis.maxHourlyXP.toLocaleString()} XP across ${timeAnalysis.timedActivities} timed activities`
+                    : hasData ? 'No completion times in this period' : ''
+            ],
+            'best-day-xp': [
+                bestPerformance.bestDayDate ? `${bestPerformance.bestDayXP.toLocaleString()} XP` : '–',
+                bestPerformance.bestDayDate
+            ],
+            'best-accuracy': [
+                bestPerformance.bestAccuracyDate ? `${bestPerformance.bestAccuracy}%` : '–',
+                bestPerformance.bestAccuracyDate
+            ]
+        };
+
+        Object.entries(insights).forEach(([id, [value, detail]]) => {
+            const valueElement = document.getElementById(id);
+            const detailElement = document.getElementById(`${id}-detail`);
+            if (valueElement) valueElement.textContent = value;
+            if (detailElement) detailElement.textContent = detail;
+        });
+    }
+
+    /**
+     * Render the insights bar charts: average XP per activity by weekday, and XP on the last 14 days
+     */
+    renderInsightCharts() {
+        const isDarkMode = document.body.classList.contains('dark-mode');
+        const accent = isDarkMode ? '#ff6b85' : '#4c0519';
+        const muted = isDarkMode ? 'rgba(255, 107, 133, 0.35)' : 'rgba(76, 5, 25, 0.25)';
+        const tickColor = isDarkMode ? '#cccccc' : '#7a7a7a';
+
+        const barChart = (canvasId, labels, values, colors, tooltipLabel) => {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) return null;
+
+            return new Chart(canvas.getContext('2d'), {
+                type: 'bar',
+                data: {
+                    labels,
+                    datasets: [{ data: values, backgroundColor: colors, borderRadius: 3 }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { display: false },
+                        tooltip: { callbacks: { label: tooltipLabel } }
+                    },
+                    scales: {
+                        x: {
+                            grid: { display: false },
+                            ticks: { color: tickColor, font: { size: 10, weight: '400' }, maxRotation: 0 }
+                        },
+                        y: {
+                            beginAtZero: true,
+                            grid: { display: false },
+                            ticks: { color: tickColor, font: { size: 10, weight: '400' }, maxTicksLimit: 3 }
+                        }
+                    }
+                }
+            });
+        };
+
+        // Weekdays run Monday to Sunday, as in the heatmap; the best weekday is highlighted
+        if (this.weekdayChart) {
+            this.weekdayChart.destroy();
+        }
+        const weekdayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        const weekdayOrder = [1, 2, 3, 4, 5, 6, 0];
+        const weekdayStats = this.stats.weekdayStats;
+        this.weekdayChart = barChart(
+            'weekday-chart',
+            weekdayOrder.map(day => weekdayNames[day].slice(0, 3)),
+            weekdayOrder.map(day => {
+                const stats = weekdayStats.weekdayStats[day];
+                return stats.count > 0 ? Math.round(stats.xp / stats.count * 10) / 10 : 0;
+            }),
+            weekdayOrder.map(day => weekdayNames[day] === weekdayStats.bestWeekday ? accent : muted),
+            item => {
+                const stats = weekdayStats.weekdayStats[weekdayOrder[item.dataIndex]];
+                return `${item.formattedValue} XP per activity (${stats.xp.toLocaleString()} XP, ${stats.count} activities)`;
+            }
+        );
+
+        if (this.last14DaysChart) {
+            this.last14DaysChart.destroy();
+        }
+        const last14Days = this.stats.last14Days;
+        this.last14DaysChart = barChart(
+            'last-14-days-chart',
+            last14Days.map(day => day.label),
+            last14Days.map(day => day.xp),
+            last14Days.map(() => accent),
+            item => `${item.formattedValue} XP, ${last14Days[item.dataIndex].count} activities`
+        );
+    }
+
+    /**
+     * Render the stacked area chart of daily XP by activity type for the current period
+     */
+    renderTypeChart() {
+        const canvas = document.getElementById('type-xp-chart');
+        if (!canvas || !window.ChartHelpers) return;
+
+        if (this.typeChart) {
+            this.typeChart.destroy();
+        }
+
+        const isDarkMode = document.body.classList.contains('dark-mode');
+        const typeData = ChartHelpers.getDailyXPByTypeData(this.stats);
+        const accent = isDarkMode ? '255, 107, 133' : '76, 5, 25';
+        const shades = [1, 0.75, 0.55, 0.35, 0.2];
+
+        this.typeChart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: typeData.labels,
+                datasets: typeData.series.map((series, index) => ({
+                    label: `${Activity.PLURALS[series.type].charAt(0).toUpperCase()}${Activity.PLURALS[series.type].slice(1)}`,
+                    data: series.values,
+                    borderColor: `rgba(${accent}, ${shades[index % shades.length]})`,
+                    backgroundColor: `rgba(${accent}, ${shades[index % shades.length] * 0.6})`,
+                    borderWidth: 1,
+                    fill: index === 0 ? 'origin' : '-1',
+                    tension: 0.3,
+                    pointRadius: 0
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                        labels: { boxWidth: 10, font: { size: 11 }, color: isDarkMode ? '#cccccc' : '#7a7a7a' }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            title: items => items.length > 0 ? DateConfig.keyToDate(items[0].label).toDateString() : ''
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        grid: { display: false },
+                        ticks: {
+                            color: isDarkMode ? '#cccccc' : '#7a7a7a',
+                            font: { size: 10, weight: '400' },
+                            maxRotation: 0,
+                            autoSkip: false,
+                            callback: function(value, index) {
+                                const options = window.uiController && window.uiController.getChartView() === 'days'
+                                    ? { weekday: 'short' }
+                                    : { month: 'short' };
+                                const label = DateConfig.keyToDate(this.getLabelForValue(value)).toLocaleDateString('en-US', options);
+                                if (index === 0) return label;
+                                const previous = DateConfig.keyToDate(this.getLabelForValue(value - 1)).toLocaleDateString('en-US', options);
+                                return label !== previous ? label : '';
+                            }
+                        }
+                    },
+                    y: {
+                        stacked: true,
+                        grid: { display: false },
+                        ticks: {
+                            color: isDarkMode ? '#cccccc' : '#7a7a7a',
+                            font: { size: 10, weight: '400' },
+                            maxTicksLimit: 4
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Render the calendar heatmap of daily XP for the current period
+     * Each week is a column of Monday-to-Sunday cells; clicking a day shows its activities
+     */
+    renderHeatmap() {
+        const container = document.getElementById('xp-heatmap');
+        if (!container || !window.ChartHelpers) return;
+
+        const heatmap = ChartHelpers.getHeatmapData(this.stats);
+        const formatDay = dateKey => DateConfig.keyToDate(dateKey).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+        container.innerHTML = '';
+
+        // Weekday labels on every other row, under a blank corner for the month row
+        const weekdays = document.createElement('div');
+        weekdays.className = 'heatmap-column heatmap-weekdays';
+        ['', 'Mon', '', 'Wed', '', 'Fri', '', ''].forEach(label => {
+            const cell = document.createElement('span');
+            cell.className = 'heatmap-label';
+            cell.textContent = label;
+            weekdays.appendChild(cell);
+        });
+        container.appendChild(weekdays);
+
+        heatmap.weeks.forEach(week => {
+            const column = document.createElement('div');
+            column.className = 'heatmap-column';
+
+            const month = document.createElement('span');
+            month.className = 'heatmap-label';
+            month.textContent = week.month ? DateConfig.keyToDate(week.month).toLocaleDateString('en-US', { month: 'short' }) : '';
+            column.appendChild(month);
+
+            week.days.forEach(day => {
+                const cell = document.createElement('button');
+                cell.type = 'button';
+                cell.className = `heatmap-cell level-${day.level}`;
+                if (!day.inRange) {
+                    cell.classList.add('outside');
+                    cell.disabled = true;
+                } else {
+                    cell.dataset.date = day.date;
+                    cell.title = `${formatDay(day.date)}: ${day.xp.toLocaleString()} XP, ${day.count} ${day.count === 1 ? 'activity' : 'activities'}`;
+                    cell.setAttribute('aria-label', cell.title);
+                    cell.addEventListener('click', () => this.showDayDetails(day.date));
+                }
+                column.appendChild(cell);
+            });
+
+            container.appendChild(column);
+        });
+
+        // Keep the open day only while it is still part of the period
+        const selectedInRange = heatmap.weeks.some(week => week.days.some(day => day.inRange && day.date === this.selectedDay));
+        this.showDayDetails(selectedInRange ? this.selectedDay : null);
+    }
+
+    /**
+     * Show the activities of one day under the heatmap; null closes the details
+     */
+    showDayDetails(dateKey) {
+        this.selectedDay = dateKey;
+        document.querySelectorAll('#xp-heatmap .heatmap-cell').forEach(cell => {
+            cell.classList.toggle('selected', Boolean(dateKey) && cell.dataset.date === dateKey);
+        });
+
+        const panel = document.getElementById('heatmap-day');
+        if (!panel) return;
+        panel.innerHTML = '';
+        panel.hidden = !dateKey;
+        if (!dateKey) return;
+
+        const activities = (this.stats.calculator ? this.stats.calculator.data : [])
+            .filter(activity => DateConfig.dayKey(activity.timestamp) === dateKey)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const totalXP = activities.reduce((sum, activity) => sum + activity.earned, 0);
+
+        const heading = document.createElement('div');
+        heading.className = 'heatmap-day-heading';
+        heading.textContent = `${DateConfig.keyToDate(dateKey).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })} · ${totalXP.toLocaleString()} XP · ${activities.length} ${activities.length === 1 ? 'activity' : 'activities'}`;
+        panel.appendChild(heading);
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'heatmap-day-close';
+        close.textContent = '×';
+        close.setAttribute('aria-label', 'Close day details');
+        close.addEventListener('click', () => this.showDayDetails(null));
+        heading.appendChild(close);
+
+        if (activities.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'heatmap-day-empty';
+            empty.textContent = 'No activities on this day.';
+            panel.appendChild(empty);
+            return;
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'heatmap-day-list';
+        activities.forEach(activity => {
+            const time = activity.hasTime
+                ? new Date(activity.timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: DateConfig.getTimeZone() })
+                : '';
+            const type = activity.type.charAt(0).toUpperCase() + activity.type.slice(1);
+
+            const item = document.createElement('li');
+            item.textContent = [time, type, activity.title, `${activity.earned}/${Activity.getPossibleXP(activity)} XP`].filter(Boolean).join(' · ');
+            item.title = activity.course;
+            list.appendChild(item);
+        });
+        panel.appendChild(list);
+    }
+
+    /**
+     * Render the per-course section: a timeline of course enrolments and a table of each
+     * course's statistics for the current period
+     */
+    renderCourses() {
+        const formatDay = dateKey => DateConfig.keyToDate(dateKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        const formatRange = (start, end) => start === end ? formatDay(start) : `${formatDay(start)} – ${formatDay(end)}`;
+
+        const timelineElement = document.getElementById('course-timeline');
+        if (timelineElement && window.ChartHelpers) {
+            const timeline = ChartHelpers.getCourseTimeline(this.stats);
+            timelineElement.innerHTML = '';
+
+            if (timeline.length > 0) {
+                const first = timeline[0].start;
+                const last = timeline[timeline.length - 1].end;
+                const totalDays = DateConfig.daysBetween(first, last) + 1;
+
+                const track = document.createElement('div');
+                track.className = 'course-timeline-track';
+                timeline.forEach(enrolment => {
+                    const segment = document.createElement('div');
+                    segment.className = 'course-segment';
+                    segment.style.left = `${DateConfig.daysBetween(first, enrolment.start) / totalDays * 100}%`;
+                    segment.style.width = `${enrolment.days / totalDays * 100}%`;
+                    segment.textContent = CourseCatalog.abbreviate(enrolment.course);
+                    segment.title = `${enrolment.course}: ${formatRange(enrolment.start, enrolment.end)} (${enrolment.days} ${enrolment.days === 1 ? 'day' : 'days'})`;
+                    track.appendChild(segment);
+                });
+                timelineElement.appendChild(track);
+
+                const dates = document.createElement('div');
+                dates.className = 'course-timeline-dates';
+                [first, last].forEach(dateKey => {
+                    const label = document.createElement('span');
+                    label.textContent = formatDay(dateKey);
+                    dates.appendChild(label);
+                });
+                timelineElement.appendChild(dates);
+            }
+        }
+
+        const tableBody = document.querySelector('#course-stats tbody');
+        if (tableBody) {
+            tableBody.innerHTML = '';
+            (this.stats.courseStats || []).forEach(course => {
+                const row = document.createElement('tr');
+
+                [
+                    course.course,
+                    course.totalXP.toLocaleString(),
+                    course.totalActivities,
+                    `${course.successRate}%`,
+                    course.activeDays,
+                    formatRange(course.startDate, course.endDate),
+                    course.avgXPPerDay
+                ].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+
+                // Break the activity count down by type
+                const breakdown = document.createElement('div');
+                breakdown.className = 'course-stats-types';
+                breakdown.textContent = Object.entries(course.activityCounts)
+                    .filter(([, count]) => count > 0)
+                    .map(([type, count]) => `${count} ${type}`)
+                    .join(', ');
+                row.children[2].appendChild(breakdown);
+
+                tableBody.appendChild(row);
+            });
+        }
     }
 
     /**
@@ -932,11 +1637,287 @@ class UIController {
             themeToggle.addEventListener('click', () => this.toggleTheme());
         }
 
-        // Time period selector
+        // Course selector
+        const courseSelect = document.getElementById('course-filter');
+        if (courseSelect) {
+            courseSelect.addEventListener('change', (e) => this.switchCourse(e.target.value));
+        }
+
+        // Time period selector, with inputs for a chosen week, month or date range
         const periodSelect = document.getElementById('time-period');
         if (periodSelect) {
-            periodSelect.addEventListener('change', (e) => this.switchPeriod(e));
+            periodSelect.addEventListener('change', () => this.switchPeriod());
+        }
+
+        const today = DateConfig.today();
+        const pickerDefaults = {
+            'period-week': DateConfig.isoWeek(today),
+            'period-month': today.slice(0, 7),
+            'period-from': DateConfig.addDays(today, -29),
+            'period-to': today
+        };
+        Object.entries(pickerDefaults).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = value;
+                input.addEventListener('change', () => this.switchPeriod());
+            }
+        });
+
+        // Minimum daily XP for streaks
+        const streakMinimum = document.getElementById('streak-min-xp');
+        if (streakMinimum) {
+            streakMinimum.value = this.loadStreakMinimum();
+            streakMinimum.addEventListener('change', (e) => this.setStreakMinimum(parseInt(e.target.value)));
+        }
+
+        // Daily and weekly XP goals; an empty field means no goal
+        const goals = XPGoals.get();
+        ['daily', 'weekly'].forEach(period => {
+            const input = document.getElementById(`${period}-goal-target`);
+            if (input) {
+                input.value = goals[period] || '';
+                input.addEventListener('change', (e) => this.setGoals({ [period]: e.target.value }));
+            }
+        });
+
+        // Total XP of the current course, for the completion forecast; an empty field means unknown
+        const courseTotal = document.getElementById('setting-course-total');
+        if (courseTotal) {
+            courseTotal.addEventListener('change', (e) => this.setCourseTotal(e.target.value));
+        }
+    }
+
+    /**
+     * Register the callback that imports a user-selected activity log
+     */
+    setUploadHandler(handler) {
+        this.uploadHandler = handler;
+        this.attachUploadListeners();
+    }
+
+    /**
+     * Attach file picker and drag-and-drop listeners
+     * Kept separate from attachEventListeners so uploads work even when the initial load fails
+     */
+    attachUploadListeners() {
+        const fileInput = document.getElementById('pdf-upload');
+        const uploadZone = document.getElementById('upload-zone');
+
+        if (fileInput) {
+            fileInput.addEventListener('change', (e) => {
+                this.handleUpload(e.target.files);
+                e.target.value = ''; // Allow re-selecting the same file
+            });
+        }
+
+        if (uploadZone) {
+            ['dragenter', 'dragover'].forEach(eventName => {
+                uploadZone.addEventListener(eventName, (e) => {
+                    e.preventDefault();
+                    uploadZone.classList.add('drag-over');
+                });
+            });
+
+            ['dragleave', 'drop'].forEach(eventName => {
+                uploadZone.addEventListener(eventName, (e) => {
+                    e.preventDefault();
+                    uploadZone.classList.remove('drag-over');
+                });
+            });
+
+            uploadZone.addEventListener('drop', (e) => {
+                this.handleUpload(e.dataTransfer ? e.dataTransfer.files : null);
+            });
+        }
+
+        // Stop the browser from opening files dropped outside the upload zone
+        ['dragover', 'drop'].forEach(eventName => {
+            window.addEventListener(eventName, (e) => e.preventDefault());
+        });
+    }
+
+    /**
+     * Pass the selected files to the upload handler
+     */
+    handleUpload(files) {
+        if (!files || files.length === 0 || !this.uploadHandler) {
+            return;
+        }
+
+        this.uploadHandler(Array.from(files));
+    }
+
+    /**
+     * Show upload progress or errors below the upload zone
+     */
+    setUploadStatus(message, isError = false) {
+        const statusElement = document.getElementById('upload-status');
+        if (statusElement) {
+            statusElement.textContent = message;
+            statusElement.classList.toggle('error', isError);
+        }
+    }
+
+    /**
+     * Register the callback that applies a new home timezone or day-start hour
+     */
+    setDateSettingsHandler(handler) {
+        this.dateSettingsHandler = handler;
+        this.attachSettingsListeners();
+    }
+
+    /**
+     * Fill the date settings panel from the saved settings and wire its toggle and fields
+     */
+    attachSettingsListeners() {
+        const toggle = document.getElementById('settings-toggle');
+        const panel = document.getElementById('settings-panel');
+        const timeZoneSelect = document.getElementById('setting-timezone');
+        const dayStartSelect = document.getElementById('setting-day-start');
+
+        if (!toggle || !panel || !timeZoneSelect || !dayStartSelect) {
+            return;
         }
+
+        const settings = DateConfig.get();
+        const timeZones = DateConfig.getTimeZones();
+        if (settings.timeZone && !timeZones.includes(settings.timeZone)) {
+            timeZones.push(settings.timeZone);
+        }
+
+        timeZoneSelect.appendChild(new Option(`Browser default (${DateConfig.getViewerTimeZone()})`, ''));
+        timeZones.forEach(timeZone => {
+            timeZoneSelect.appendChild(new Option(timeZone.replace(/_/g, ' '), timeZone));
+        });
+        timeZoneSelect.value = settings.timeZone || '';
+
+        for (let hour = 0; hour < 12; hour++) {
+            dayStartSelect.appendChild(new Option(hour === 0 ? 'Midnight' : `${hour}:00 AM`, hour));
+        }
+        dayStartSelect.value = settings.dayStartHour;
+
+        toggle.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            toggle.setAttribute('aria-expanded', String(!panel.hidden));
+        });
+
+        const applySettings = () => {
+            if (this.dateSettingsHandler) {
+                this.dateSettingsHandler({
+                    timeZone: timeZoneSelect.value || null,
+                    dayStartHour: parseInt(dayStartSelect.value)
+                });
+            }
+        };
+        timeZoneSelect.addEventListener('change', applySettings);
+        dayStartSelect.addEventListener('change', applySettings);
+    }
+
+    /**
+     * Ask which column holds each activity field before a CSV or JSON file is imported
+     * Resolves to the chosen mapping, or null if the import is cancelled
+     */
+    requestColumnMapping({ source, headers, mapping, fields, sampleRows }) {
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.className = 'mapping-overlay';
+
+            const dialog = document.createElement('div');
+            dialog.className = 'mapping-dialog';
+            dialog.setAttribute('role', 'dialog');
+            dialog.setAttribute('aria-label', `Map the columns of ${source}`);
+            overlay.appendChild(dialog);
+
+            const title = document.createElement('h3');
+            title.textContent = `Map the columns of ${source}`;
+            dialog.appendChild(title);
+
+            const selects = {};
+            fields.forEach(field => {
+                const row = document.createElement('label');
+                row.className = 'mapping-row';
+
+                const label = document.createElement('span');
+                label.textContent = field.required ? field.label : `${field.label} (optional)`;
+                row.appendChild(label);
+
+                const select = document.createElement('select');
+                const noneOption = document.createElement('option');
+                noneOption.value = '';
+                noneOption.textContent = '—';
+                select.appendChild(noneOption);
+                headers.forEach(header => {
+                    const option = document.createElement('option');
+                    option.value = header;
+                    option.textContent = header;
+                    select.appendChild(option);
+                });
+                select.value = mapping[field.key] || '';
+                row.appendChild(select);
+
+                selects[field.key] = select;
+                dialog.appendChild(row);
+            });
+
+            // A few rows help to recognise which column is which
+            const preview = document.createElement('table');
+            preview.className = 'mapping-preview';
+            [headers, ...sampleRows.map(record => headers.map(header => record[header]))].forEach((cells, index) => {
+                const tableRow = document.createElement('tr');
+                cells.forEach(cell => {
+                    const tableCell = document.createElement(index === 0 ? 'th' : 'td');
+                    tableCell.textContent = cell === undefined || cell === null ? '' : String(cell);
+                    tableRow.appendChild(tableCell);
+                });
+                preview.appendChild(tableRow);
+            });
+            const previewWrapper = document.createElement('div');
+            previewWrapper.className = 'mapping-preview-wrapper';
+            previewWrapper.appendChild(preview);
+            dialog.appendChild(previewWrapper);
+
+            const message = document.createElement('p');
+            message.className = 'mapping-message';
+            dialog.appendChild(message);
+
+            const close = result => {
+                overlay.remove();
+                resolve(result);
+            };
+
+            const actions = document.createElement('div');
+            actions.className = 'mapping-actions';
+
+            const cancelButton = document.createElement('button');
+            cancelButton.className = 'demo-button';
+            cancelButton.textContent = 'Cancel';
+            cancelButton.addEventListener('click', () => close(null));
+
+            const importButton = document.createElement('button');
+            importButton.className = 'demo-button';
+            importButton.textContent = 'Import';
+            importButton.addEventListener('click', () => {
+                const chosen = {};
+                Object.entries(selects).forEach(([key, select]) => {
+                    chosen[key] = select.value || null;
+                });
+
+                const missing = fields.filter(field => field.required && !chosen[field.key]);
+                if (missing.length > 0) {
+                    message.textContent = `Choose a column for ${missing.map(field => field.label).join(', ')}.`;
+                    return;
+                }
+                close(chosen);
+            });
+
+            actions.appendChild(cancelButton);
+            actions.appendChild(importButton);
+            dialog.appendChild(actions);
+
+            document.body.appendChild(overlay);
+            importButton.focus();
+        });
     }
 
     /**
@@ -955,6 +1936,8 @@ class UIController {
         // Re-render charts with new colors
         if (typeof Chart !== 'undefined') {
             this.renderInlineCharts();
+            this.renderInsightCharts();
+            this.renderTypeChart();
         }
     }
 
@@ -974,23 +1957,139 @@ class UIController {
 
     /**
      * Switch time period
+     * Choosing a week, a month or a date range shows its inputs; the period changes whenever
+     * they hold a valid range
      */
-    switchPeriod(event) {
-        // Get period and update stats
-        const period = event.target.value;
-        this.currentPeriod = period;
-        
-        // Calculate filtered stats
-        if (this.originalStats && this.originalStats.calculator) {
-            const filteredCalculator = this.originalStats.calculator.filterByPeriod(period);
-            this.stats = filteredCalculator.calculateStats();
-            this.stats.calculator = filteredCalculator;
+    switchPeriod() {
+        this.updatePeriodPicker();
+
+        const period = this.readPeriod();
+        if (!period) {
+            return;
         }
+        this.currentPeriod = period;
+        this.applyFilters();
         
         // Re-render dashboard
         this.renderDashboard();
     }
 
+    /**
+     * Switch the course the dashboard is scoped to ('all' for every course)
+     */
+    switchCourse(course) {
+        this.currentCourse = course || 'all';
+        this.applyFilters();
+        this.renderDashboard();
+    }
+
+    /**
+     * Calculate the displayed stats for the selected course and period
+     */
+    applyFilters() {
+        const calculator = this.originalStats && this.originalStats.calculator;
+        if (!calculator) {
+            this.stats = this.originalStats;
+            return;
+        }
+
+        // A course that is no longer in the activity log falls back to all courses
+        const courses = (this.originalStats.courseStats || []).map(course => course.course);
+        if (!courses.includes(this.currentCourse)) {
+            this.currentCourse = 'all';
+        }
+
+        const filteredCalculator = calculator.filterByCourse(this.currentCourse).filterByPeriod(this.currentPeriod);
+        this.stats = filteredCalculator.calculateStats();
+        this.stats.calculator = filteredCalculator;
+    }
+
+    /**
+     * Fill the course selector with every course in the activity log
+     * It only shows when there is more than one course to choose from
+     */
+    renderCourseFilter() {
+        const select = document.getElementById('course-filter');
+        const wrapper = document.getElementById('course-filter-wrapper');
+        if (!select) return;
+
+        const courses = (this.originalStats && this.originalStats.courseStats || []).map(course => course.course);
+        select.innerHTML = '';
+        [['all', 'all courses', ''], ...courses.map(course => [course, CourseCatalog.abbreviate(course), course])].forEach(([value, label, title]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.title = title;
+            select.appendChild(option);
+        });
+
+        select.value = courses.includes(this.currentCourse) ? this.currentCourse : 'all';
+        if (wrapper) {
+            wrapper.hidden = courses.length < 2;
+        }
+    }
+
+    /**
+     * The period chosen in the header: a preset such as 'month', or a { start, end } range of
+     * day keys from the picker (with the calendar unit of a picked week or month); null while the
+     * picker's inputs are incomplete
+     */
+    readPeriod() {
+        const periodSelect = document.getElementById('time-period');
+        const choice = periodSelect ? periodSelect.value : 'all';
+        const value = id => {
+            const input = document.getElementById(id);
+            return input ? input.value : '';
+        };
+
+        switch (choice) {
+            case 'iso-week': {
+                const week = DateConfig.isoWeekRange(value('period-week'));
+                return week ? { ...week, unit: 'week' } : null;
+            }
+            case 'calendar-month':
+                return /^\d{4}-\d{2}$/.test(value('period-month'))
+                    ? { ...DateConfig.calendarPeriod('month', `${value('period-month')}-01`), unit: 'month' }
+                    : null;
+            case 'custom':
+                return value('period-from') && value('period-to') ? { start: value('period-from'), end: value('period-to') } : null;
+            default:
+                return choice;
+        }
+    }
+
+    /**
+     * Show only the picker inputs for the chosen kind of period
+     */
+    updatePeriodPicker() {
+        const periodSelect = document.getElementById('time-period');
+        const picker = document.getElementById('period-picker');
+        if (!periodSelect || !picker) return;
+
+        const fields = picker.querySelectorAll('[data-period]');
+        fields.forEach(field => {
+            field.hidden = field.dataset.period !== periodSelect.value;
+        });
+        picker.hidden = !Array.from(fields).some(field => !field.hidden);
+    }
+
+    /**
+     * How the inline charts show the current period: 'hidden' for a single day, 'days' for ranges
+     * of up to a week, 'range' for longer ranges and 'all' for all time
+     */
+    getChartView() {
+        const range = this.stats && this.stats.calculator ? this.stats.calculator.range : null;
+        if (!range) {
+            return 'all';
+        }
+
+        const days = DateConfig.daysBetween(range.start, range.end) + 1;
+        if (days <= 1) {
+            return 'hidden';
+        }
+        return days <= UIController.DAILY_VIEW_DAYS ? 'days' : 'range';
+    }
+
     /**
      * Show loading state
      */
@@ -1009,19 +2108,67 @@ class UIController {
         if (container) {
             container.classList.remove('loading');
         }
+        this.hideProgress();
+    }
+
+    /**
+     * Show PDF parsing progress: { source, page, pages, activitiesFound }
+     */
+    showProgress({ source, page, pages, activitiesFound }) {
+        const progressElement = document.getElementById('parse-progress');
+        if (!progressElement) return;
+
+        const bar = progressElement.querySelector('.parse-progress-bar');
+        const label = progressElement.querySelector('.parse-progress-label');
+
+        bar.max = pages;
+        bar.value = page;
+        label.textContent = `Reading ${source}: page ${page} of ${pages} · ${activitiesFound} activities found`;
+        progressElement.hidden = false;
+    }
+
+    /**
+     * Hide the parsing progress indicator
+     */
+    hideProgress() {
+        const progressElement = document.getElementById('parse-progress');
+        if (progressElement) {
+            progressElement.hidden = true;
+        }
     }
 
     /**
      * Show error message
+     * Optionally lists the parse report and offers to show demo data instead
      */
-    showError(message) {
+    showError(message, { report = null, onShowDemo = null } = {}) {
         const errorDiv = document.createElement('div');
         errorDiv.className = 'error-message';
-        errorDiv.innerHTML = `
-            <h3>Error Loading Data</h3>
-            <p>${message}</p>
-            <p>Please make sure the mathacademy_source.html file is in the data/ directory.</p>
-        `;
+
+        const title = document.createElement('h3');
+        title.textContent = 'Error Loading Data';
+        errorDiv.appendChild(title);
+
+        const messageParagraph = document.createElement('p');
+        messageParagraph.textContent = message;
+        errorDiv.appendChild(messageParagraph);
+
+        if (report) {
+            errorDiv.appendChild(this.createReportDetails(report));
+        }
+
+        const hint = document.createElement('p');
+        hint.textContent = 'Add your activity log PDF, saved activity page (.html) or CSV/JSON history to the data/ directory ' +
+            'and list it in data/manifest.json, or import it with the box at the bottom of the page.';
+        errorDiv.appendChild(hint);
+
+        if (onShowDemo) {
+            const demoButton = document.createElement('button');
+            demoButton.className = 'demo-button';
+            demoButton.textContent = 'Show demo data';
+            demoButton.addEventListener('click', () => onShowDemo());
+            errorDiv.appendChild(demoButton);
+        }
         
         const container = document.querySelector('.container');
         if (container) {
@@ -1029,6 +2176,130 @@ class UIController {
         }
     }
 
+    /**
+     * Show a notice when the data loaded but parts of the log could not be read
+     */
+    showParseWarnings(report) {
+        if (!report || (report.warnings.length === 0 && report.unmatchedFragments.length === 0)) {
+            return;
+        }
+
+        const noticeDiv = document.createElement('div');
+        noticeDiv.className = 'error-message parse-notice';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Some of the activity log could not be read';
+        noticeDiv.appendChild(title);
+        noticeDiv.appendChild(this.createReportDetails(report));
+
+        const container = document.querySelector('.container');
+        if (container) {
+            container.insertBefore(noticeDiv, container.firstChild);
+        }
+    }
+
+    /**
+     * Show what changed since a file was last parsed, when a cached version existed
+     */
+    showActivityChanges(report) {
+        const changes = report && report.changes;
+        if (!changes || (changes.added.length === 0 && changes.removed.length === 0)) {
+            return;
+        }
+
+        const noticeDiv = document.createElement('div');
+        noticeDiv.className = 'change-notice';
+
+        const since = new Date(changes.since).toLocaleDateString();
+        const summary = document.createElement('p');
+        summary.textContent = `Since the activity log was last loaded (${since}): ` +
+            `${changes.added.length} activities added, ${changes.removed.length} removed`;
+        noticeDiv.appendChild(summary);
+
+        const addList = (activities, sign) => {
+            if (activities.length === 0) return;
+
+            const list = document.createElement('ul');
+            activities.slice(0, 5).forEach(activity => {
+                const listItem = document.createElement('li');
+                const date = new Date(activity.timestamp).toLocaleDateString(undefined, { timeZone: DateConfig.getTimeZone() });
+                listItem.textContent = `${sign} ${date} ${activity.type}: ${activity.title || activity.course} (${activity.earned} XP)`;
+                list.appendChild(listItem);
+            });
+            if (activities.length > 5) {
+                const more = document.createElement('li');
+                more.textContent = `${sign} ${activities.length - 5} more`;
+                list.appendChild(more);
+            }
+            noticeDiv.appendChild(list);
+        };
+        addList(changes.added, '+');
+        addList(changes.removed, '−');
+
+        const container = document.querySelector('.container');
+        if (container) {
+            container.insertBefore(noticeDiv, container.firstChild);
+        }
+    }
+
+    /**
+     * Build a summary of a parse report
+     */
+    createReportDetails(report) {
+        const details = document.createElement('div');
+        details.className = 'parse-report';
+
+        const summary = document.createElement('p');
+        summary.textContent = `${report.pagesRead} pages read, ${report.dateHeadersFound} days found, ` +
+            `${report.activitiesMatched} activities matched`;
+        details.appendChild(summary);
+
+        const addList = (items, label) => {
+            if (items.length === 0) return;
+
+            const heading = document.createElement('p');
+            heading.textContent = `${label} (${items.length}):`;
+            details.appendChild(heading);
+
+            const list = document.createElement('ul');
+            items.slice(0, 5).forEach(item => {
+                const listItem = document.createElement('li');
+                listItem.textContent = item;
+                list.appendChild(listItem);
+            });
+            if (items.length > 5) {
+                const more = document.createElement('li');
+                more.textContent = `...and ${items.length - 5} more (see the browser console)`;
+                list.appendChild(more);
+            }
+            details.appendChild(list);
+        };
+
+        addList(report.warnings, 'Warnings');
+        addList(report.unmatchedFragments, 'Unmatched text');
+
+        return details;
+    }
+
+    /**
+     * Show or hide the notice that the dashboard is displaying sample data
+     */
+    setDemoMode(isDemo) {
+        this.isDemo = isDemo;
+
+        const banner = document.getElementById('demo-banner');
+        if (banner) {
+            banner.hidden = !isDemo;
+        }
+    }
+
+    /**
+     * Remove any error messages currently shown
+     */
+    clearErrors() {
+        document.querySelectorAll('.error-message, .change-notice').forEach(element => element.remove());
+    }
+
     /**
      * Add animation to stats cards
      */
@@ -1054,20 +2325,20 @@ class UIController {
     updateStats(newStats) {
         this.originalStats = newStats;
         
-        // Apply current period filter
-        if (newStats.calculator) {
-            const filteredCalculator = newStats.calculator.filterByPeriod(this.currentPeriod);
-            this.stats = filteredCalculator.calculateStats();
-            this.stats.calculator = filteredCalculator;
-        } else {
-            this.stats = newStats;
-        }
+        // Apply current course and period filters
+        this.applyFilters();
         
         this.renderDashboard();
         this.animateStats();
     }
 }
 
+// Number of recent streaks listed on the streak card
+UIController.STREAK_HISTORY_LENGTH = 5;
+
+// Longest period, in days, the inline charts show day by day instead of as a trend
+UIController.DAILY_VIEW_DAYS = 7;
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = UIController;
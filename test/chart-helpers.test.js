@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const DateConfig = require('../src/js/date-config');
+const StatisticsCalculator = require('../src/js/statistics');
+const ChartHelpers = require('../src/js/chart-helpers');
+
+const activity = (dateKey, earned = 20) => ({
+    timestamp: new Date(`${dateKey}T12:00:00Z`),
+    hasTime: true,
+    type: 'lesson',
+    course: 'Algebra I',
+    title: 'Lesson',
+    earned,
+    base: earned
+});
+
+const heatmapFor = (data, range) => {
+    const calculator = new StatisticsCalculator(data).filterByPeriod(range);
+    return ChartHelpers.getHeatmapData({ calculator });
+};
+
+test.beforeEach(() => {
+    DateConfig.configure({ timeZone: 'UTC', dayStartHour: 0 });
+});
+
+test('a range with no activities gives a zero-XP cell for each of its days', () => {
+    const heatmap = heatmapFor([activity('2026-02-10')], { start: '2026-03-01', end: '2026-03-31', unit: 'month' });
+    const days = heatmap.weeks.flatMap(week => week.days).filter(day => day.inRange);
+
+    assert.equal(heatmap.maxXP, 0);
+    assert.equal(days.length, 31);
+    assert.equal(days[0].date, '2026-03-01');
+    assert.equal(days[30].date, '2026-03-31');
+    assert.ok(days.every(day => day.xp === 0 && day.count === 0 && day.level === 0));
+});
+
+test('the grid covers the whole range, not only the days with activity', () => {
+    const heatmap = heatmapFor([activity('2026-03-10', 40), activity('2026-03-12', 10)], { start: '2026-03-01', end: '2026-03-31', unit: 'month' });
+
+    // 1 March is a Sunday and 31 March a Tuesday, so the grid runs from 23 February to 5 April
+    assert.equal(heatmap.weeks.length, 6);
+    assert.equal(heatmap.weeks[0].start, '2026-02-23');
+    assert.equal(heatmap.weeks[0].month, '2026-03-01');
+
+    const days = heatmap.weeks.flatMap(week => week.days);
+    assert.equal(days.filter(day => day.inRange).length, 31);
+    assert.deepEqual(days.filter(day => day.xp > 0).map(day => [day.date, day.level]), [
+        ['2026-03-10', 4],
+        ['2026-03-12', 1]
+    ]);
+});
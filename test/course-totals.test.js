@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CourseCatalog = require('../src/js/course-catalog');
+const CourseTotals = require('../src/js/course-totals');
+
+test.beforeEach(() => {
+    CourseTotals.totals = {};
+});
+
+test('a saved total is registered with the catalog', () => {
+    CourseTotals.set('Algebra I', '4200');
+
+    assert.deepEqual(CourseTotals.get(), { 'Algebra I': 4200 });
+    assert.equal(CourseCatalog.getTotalXP('Algebra I'), 4200);
+});
+
+test('an empty or zero total clears the course', () => {
+    CourseTotals.set('Algebra I', 4200);
+    CourseTotals.set('Algebra I', '');
+
+    assert.deepEqual(CourseTotals.get(), {});
+    assert.equal(CourseCatalog.getTotalXP('Algebra I'), null);
+});
+
+test('only whole, positive totals for named courses are kept', () => {
+    assert.deepEqual(CourseTotals.normalize({ 'Algebra I': '3000.5', 'Geometry': -10, '': 500, 'Precalculus': 'lots' }), {
+        'Algebra I': 3000
+    });
+});
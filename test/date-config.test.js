@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const DateConfig = require('../src/js/date-config');
+
+// Wall-clock time in New York, where the clocks go forward on 8 March 2026 and back on 1 November 2026
+const newYork = (month, day, hours, minutes = 0) => DateConfig.toInstant(2026, month, day, hours, minutes, 'America/New_York');
+
+test.beforeEach(() => {
+    DateConfig.configure({ timeZone: 'America/New_York', dayStartHour: 4 });
+});
+
+test('activities before the day-start hour count towards the previous day', () => {
+    assert.equal(DateConfig.dayKey(newYork(1, 15, 3, 59)), '2026-01-14');
+    assert.equal(DateConfig.dayKey(newYork(1, 15, 4, 0)), '2026-01-15');
+    assert.equal(DateConfig.dayKey(newYork(1, 1, 1, 30)), '2025-12-31');
+});
+
+test('a midnight day start keeps calendar days', () => {
+    DateConfig.configure({ dayStartHour: 0 });
+
+    assert.equal(DateConfig.dayKey(newYork(1, 15, 23, 59)), '2026-01-15');
+    assert.equal(DateConfig.dayKey(newYork(1, 16, 0, 0)), '2026-01-16');
+});
+
+test('the day boundary stays at the day-start hour across DST changes', () => {
+    // Spring forward: 2:00 becomes 3:00, so the night is an hour shorter
+    assert.equal(DateConfig.dayKey(newYork(3, 8, 3, 30)), '2026-03-07');
+    assert.equal(DateConfig.dayKey(newYork(3, 8, 4, 0)), '2026-03-08');
+
+    // Fall back: 1:00 to 2:00 happens twice, so the night is an hour longer
+    assert.equal(DateConfig.dayKey(newYork(11, 1, 3, 30)), '2026-10-31');
+    assert.equal(DateConfig.dayKey(newYork(11, 1, 4, 0)), '2026-11-01');
+});
+
+test('the day-start hour is ignored for calendar keys', () => {
+    assert.equal(DateConfig.calendarKey(newYork(1, 15, 3, 59)), '2026-01-15');
+});
+
+test('toInstant moves skipped times forward and takes the earlier of repeated times', () => {
+    assert.equal(newYork(3, 8, 2, 30).toISOString(), '2026-03-08T07:30:00.000Z');
+    assert.equal(newYork(11, 1, 1, 30).toISOString(), '2026-11-01T05:30:00.000Z');
+    assert.equal(newYork(7, 1, 12, 0).toISOString(), '2026-07-01T16:00:00.000Z');
+});
+
+test('rezone keeps the wall-clock time in the new timezone', () => {
+    const moved = DateConfig.rezone(newYork(3, 8, 9, 15), 'America/New_York', 'Europe/London');
+    assert.deepEqual(DateConfig.getParts(moved, 'Europe/London'), { year: 2026, month: 3, day: 8, hour: 9, minute: 15 });
+});
+
+test('day arithmetic counts calendar days, not 24-hour spans', () => {
+    assert.equal(DateConfig.addDays('2026-03-07', 2), '2026-03-09');
+    assert.equal(DateConfig.daysBetween('2026-10-31', '2026-11-02'), 2);
+    assert.deepEqual(DateConfig.dayRange('2026-02-27', '2026-03-01'), ['2026-02-27', '2026-02-28', '2026-03-01']);
+});
+
+test('normalize drops unknown timezones and clamps the day-start hour', () => {
+    assert.deepEqual(DateConfig.normalize({ timeZone: 'Mars/Base', dayStartHour: 15 }), { timeZone: null, dayStartHour: 11 });
+    assert.deepEqual(DateConfig.normalize({ timeZone: 'UTC', dayStartHour: -2 }), { timeZone: 'UTC', dayStartHour: 0 });
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Activity = require('../src/js/activity');
+const DateConfig = require('../src/js/date-config');
+const PDFDataParser = require('../src/js/pdf-parser');
+
+const activity = (timestamp, fields = {}) => Activity.create({
+    timestamp,
+    hasTime: true,
+    type: 'Lesson',
+    course: 'Algebra I',
+    title: 'Solving Linear Equations',
+    earned: 10,
+    base: 10,
+    ...fields
+});
+
+const review = timestamp => activity(timestamp, { type: 'Review', title: 'Review', earned: 5, base: 5 });
+
+test.beforeEach(() => {
+    DateConfig.configure({ timeZone: 'America/New_York', dayStartHour: 0 });
+});
+
+test('activities in both of two overlapping exports are kept once', () => {
+    const parser = new PDFDataParser();
+    const older = [activity('2026-01-05T15:00:00Z'), review('2026-01-06T15:00:00Z')];
+    const newer = [review('2026-01-06T15:00:00Z'), activity('2026-01-07T15:00:00Z', { title: 'Slope' })];
+
+    const merged = parser.mergeActivities([older, newer]);
+
+    assert.equal(merged.length, 3);
+    assert.deepEqual(parser.mergeSummary, { sources: 2, activities: 3, duplicates: 1 });
+});
+
+test('an activity repeated on one day keeps as many copies as the export that has the most', () => {
+    const parser = new PDFDataParser();
+    const twice = [review('2026-01-06T14:00:00Z'), review('2026-01-06T18:00:00Z')];
+    const once = [review('2026-01-06T18:00:00Z')];
+
+    assert.equal(parser.mergeActivities([once, twice]).length, 2);
+    assert.equal(parser.mergeActivities([twice, once]).length, 2);
+});
+
+test('rows that differ in XP are different activities', () => {
+    const parser = new PDFDataParser();
+    const merged = parser.mergeActivities([
+        [activity('2026-01-05T15:00:00Z')],
+        [activity('2026-01-05T15:00:00Z', { earned: 8 })]
+    ]);
+
+    assert.equal(merged.length, 2);
+});
+
+test('duplicates are matched by calendar day in the home timezone', () => {
+    const parser = new PDFDataParser();
+
+    // 03:30 UTC on 6 January is still the evening of 5 January in New York
+    const timed = [activity('2026-01-06T03:30:00Z')];
+    const dateOnly = [activity('2026-01-05T17:00:00Z', { hasTime: false })];
+    assert.equal(parser.mergeActivities([timed, dateOnly]).length, 1);
+
+    DateConfig.configure({ timeZone: 'UTC' });
+    assert.equal(parser.mergeActivities([timed, dateOnly]).length, 2);
+});
+
+test('merged activities are sorted newest first', () => {
+    const parser = new PDFDataParser();
+    const merged = parser.mergeActivities([
+        [activity('2026-01-05T15:00:00Z')],
+        [activity('2026-01-07T15:00:00Z', { title: 'Slope' }), review('2026-01-06T15:00:00Z')]
+    ]);
+
+    assert.deepEqual(merged.map(item => item.timestamp.toISOString()), [
+        '2026-01-07T15:00:00.000Z',
+        '2026-01-06T15:00:00.000Z',
+        '2026-01-05T15:00:00.000Z'
+    ]);
+});
+
+test('IDs are stable between loads and tell repeated activities apart', () => {
+    const load = () => Activity.assignIds([review('2026-01-06T14:00:00Z'), review('2026-01-06T18:00:00Z')]);
+    const first = load();
+
+    assert.deepEqual(load().map(item => item.id), first.map(item => item.id));
+    assert.notEqual(first[0].id, first[1].id);
+    assert.match(first[1].id, /-2$/);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const DateConfig = require('../src/js/date-config');
+const StatisticsCalculator = require('../src/js/statistics');
+
+// An activity at noon UTC on a day key
+const activity = (dateKey, earned = 20) => ({
+    timestamp: new Date(`${dateKey}T12:00:00Z`),
+    hasTime: true,
+    type: 'lesson',
+    course: 'Algebra I',
+    title: 'Lesson',
+    earned,
+    base: earned
+});
+
+// Days before today, as day keys
+const daysAgo = days => DateConfig.addDays(DateConfig.today(), -days);
+
+test.beforeEach(() => {
+    DateConfig.configure({ timeZone: 'UTC', dayStartHour: 0 });
+});
+
+test('a streak runs over consecutive active days and is current until a day is missed', () => {
+    const calculator = new StatisticsCalculator([5, 4, 3, 1, 0].map(days => activity(daysAgo(days))));
+    const streaks = calculator.calculateStreaks();
+
+    assert.equal(streaks.current, 2);
+    assert.equal(streaks.currentStart, daysAgo(1));
+    assert.equal(streaks.longest, 3);
+    assert.equal(streaks.longestStart, daysAgo(5));
+    assert.equal(streaks.longestEnd, daysAgo(3));
+});
+
+test('a streak that reached yesterday is still current', () => {
+    const streaks = new StatisticsCalculator([2, 1].map(days => activity(daysAgo(days)))).calculateStreaks();
+    assert.equal(streaks.current, 2);
+
+    const lapsed = new StatisticsCalculator([3, 2].map(days => activity(daysAgo(days)))).calculateStreaks();
+    assert.equal(lapsed.current, 0);
+    assert.equal(lapsed.longest, 2);
+});
+
+test('a day below the minimum daily XP breaks the streak', () => {
+    const data = [
+        activity(daysAgo(4), 30),
+        activity(daysAgo(3), 30),
+        activity(daysAgo(2), 10),
+        activity(daysAgo(1), 30),
+        activity(daysAgo(0), 30)
+    ];
+
+    assert.equal(new StatisticsCalculator(data).calculateStreaks().longest, 5);
+
+    const streaks = new StatisticsCalculator(data, 'all', { minDailyXP: 25 }).calculateStreaks();
+    assert.equal(streaks.current, 2);
+    assert.equal(streaks.longest, 2);
+    assert.deepEqual(streaks.history.map(streak => [streak.start, streak.length, streak.xp]), [
+        [daysAgo(4), 2, 60],
+        [daysAgo(1), 2, 60]
+    ]);
+});
+
+test('several activities on one day add up towards the minimum', () => {
+    const data = [activity(daysAgo(1), 15), activity(daysAgo(1), 15), activity(daysAgo(0), 30)];
+    assert.equal(new StatisticsCalculator(data, 'all', { minDailyXP: 25 }).calculateStreaks().current, 2);
+});
+
+test('a finished calendar month is compared with the whole previous month', () => {
+    const calculator = new StatisticsCalculator([]).filterByPeriod({ start: '2026-03-01', end: '2026-03-31', unit: 'month' });
+
+    // Months of different lengths are still compared whole
+    assert.deepEqual(calculator.getPreviousRange(), { start: '2026-02-01', end: '2026-02-28' });
+
+    const april = new StatisticsCalculator([]).filterByPeriod({ start: '2026-04-01', end: '2026-04-30', unit: 'month' });
+    assert.deepEqual(april.getPreviousRange(), { start: '2026-03-01', end: '2026-03-31' });
+});
+
+test('the running month is compared with as many days of the previous month', () => {
+    const today = DateConfig.today();
+    const { start } = DateConfig.calendarPeriod('month', today);
+    const previous = new StatisticsCalculator([]).filterByPeriod('month').getPreviousRange();
+    const previousMonth = DateConfig.calendarPeriod('month', DateConfig.addDays(start, -1));
+
+    assert.equal(previous.start, previousMonth.start);
+    const elapsedEnd = DateConfig.addDays(previousMonth.start, DateConfig.daysBetween(start, today));
+    assert.equal(previous.end, elapsedEnd < previousMonth.end ? elapsedEnd : previousMonth.end);
+});
+
+test('calendar weeks, quarters and years are compared with the unit before them', () => {
+    const previous = range => new StatisticsCalculator([]).filterByPeriod(range).getPreviousRange();
+
+    assert.deepEqual(previous({ start: '2026-09-28', end: '2026-10-04', unit: 'week' }), { start: '2026-09-21', end: '2026-09-27' });
+    assert.deepEqual(previous({ start: '2026-04-01', end: '2026-06-30', unit: 'quarter' }), { start: '2026-01-01', end: '2026-03-31' });
+    assert.deepEqual(previous({ start: '2025-01-01', end: '2025-12-31', unit: 'year' }), { start: '2024-01-01', end: '2024-12-31' });
+});
+
+test('a custom range is compared with the same number of days just before it', () => {
+    const previous = range => new StatisticsCalculator([]).filterByPeriod(range).getPreviousRange();
+
+    assert.deepEqual(previous({ start: '2026-03-10', end: '2026-03-19' }), { start: '2026-02-28', end: '2026-03-09' });
+
+    // A range picked back to front is put in order first
+    assert.deepEqual(previous({ start: '2026-03-19', end: '2026-03-10' }), { start: '2026-02-28', end: '2026-03-09' });
+});
+
+test('all time has no previous period', () => {
+    const calculator = new StatisticsCalculator([activity(daysAgo(3))]).filterByPeriod('all');
+
+    assert.equal(calculator.getPreviousRange(), null);
+    assert.equal(calculator.previous, null);
+});
+
+test('the previous period holds the activities in its range', () => {
+    const data = [
+        activity('2026-02-10', 40),
+        activity('2026-02-28', 10),
+        activity('2026-03-05', 25),
+        activity('2026-01-31', 99)
+    ];
+    const calculator = new StatisticsCalculator(data).filterByPeriod({ start: '2026-03-01', end: '2026-03-31', unit: 'month' });
+
+    assert.equal(calculator.calculateTotalXP(), 25);
+    assert.equal(calculator.previous.calculateTotalXP(), 50);
+
+    const comparison = calculator.calculateComparison();
+    assert.deepEqual(comparison.totalXP, { current: 25, previous: 50, change: -25, percentChange: -50 });
+});
+
+test('weeks the range only partly covers are left out of the weekly hit rate', () => {
+    const data = [activity('2026-03-02', 100), activity('2026-03-10', 100), activity('2026-03-31', 20)];
+    const calculator = new StatisticsCalculator(data, 'all', { goals: { daily: null, weekly: 100 } })
+        .filterByPeriod({ start: '2026-03-01', end: '2026-03-31', unit: 'month' });
+    const weekly = calculator.calculateGoalStats().weekly;
+
+    // 1 March is a Sunday and 31 March a Tuesday, so the first and last weeks are partial
+    assert.deepEqual(weekly.history.filter(week => week.partial).map(week => week.date), ['2026-02-23', '2026-03-30']);
+    assert.equal(weekly.tracked, 4);
+    assert.equal(weekly.hits, 2);
+    assert.equal(weekly.hitRate, 50);
+});
+
+test('the week in progress is not partial when there is no range', () => {
+    const data = [activity(DateConfig.weekStart(DateConfig.today()), 50)];
+    const weekly = new StatisticsCalculator(data, 'all', { goals: { daily: null, weekly: 40 } }).calculateGoalStats().weekly;
+
+    assert.equal(weekly.history.length, 1);
+    assert.equal(weekly.history[0].partial, false);
+    assert.equal(weekly.hits, 1);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The importers use the globals the page's script tags provide
+global.DateConfig = require('../src/js/date-config');
+global.CourseCatalog = require('../src/js/course-catalog');
+global.Activity = require('../src/js/activity');
+global.PDFDataParser = require('../src/js/pdf-parser');
+global.TabularActivityImporter = require('../src/js/tabular-importer');
+
+const encode = text => new TextEncoder().encode(text).buffer;
+
+const createImporter = () => new TabularActivityImporter(new PDFDataParser());
+
+test.beforeEach(() => {
+    DateConfig.configure({ timeZone: 'UTC', dayStartHour: 0 });
+});
+
+test('quoted cells keep their delimiters, quotes and line breaks', () => {
+    const rows = createImporter().parseCSV('date,title\n2026-01-05,"Sums, products and ""powers"""\n2026-01-06,"Two\nlines"\n');
+
+    assert.deepEqual(rows, [
+        ['date', 'title'],
+        ['2026-01-05', 'Sums, products and "powers"'],
+        ['2026-01-06', 'Two\nlines']
+    ]);
+});
+
+test('the delimiter is detected from the header line', () => {
+    const importer = createImporter();
+
+    assert.deepEqual(importer.parseCSV('date;course;earned\n2026-01-05;Algebra I;10\n'), [
+        ['date', 'course', 'earned'],
+        ['2026-01-05', 'Algebra I', '10']
+    ]);
+    assert.deepEqual(importer.parseCSV('date\tearned\r\n2026-01-05\t10\r\n'), [
+        ['date', 'earned'],
+        ['2026-01-05', '10']
+    ]);
+});
+
+test('columns are mapped from common header names', () => {
+    const mapping = createImporter().guessMapping(['Completed On', 'Course Name', 'Activity Type', 'Topic', 'XP Earned', 'Max XP']);
+
+    assert.deepEqual(mapping, {
+        date: 'Completed On',
+        time: null,
+        course: 'Course Name',
+        type: 'Activity Type',
+        title: 'Topic',
+        earned: 'XP Earned',
+        base: 'Max XP'
+    });
+});
+
+test('a semicolon file with a byte order mark is imported', async () => {
+    const csv = '\uFEFFdate;course;type;title;earned;base\n2026-01-05;Algebra I;Lesson;Slope;10;10\n2026-01-06;Algebra I;Review;Review;4;5\n';
+    const { activities, report } = await createImporter().parse(encode(csv), 'history.csv');
+
+    assert.deepEqual(report.warnings, []);
+    assert.equal(activities.length, 2);
+    assert.deepEqual(activities.map(activity => [activity.type, activity.earned, activity.base]), [
+        ['lesson', 10, 10],
+        ['review', 4, 5]
+    ]);
+});
+
+test('rows that fail validation are reported by their line number', async () => {
+    const csv = [
+        'date,course,type,title,earned',
+        '2026-01-05,Algebra I,Lesson,Slope,10',
+        'someday,Algebra I,Lesson,Slope,10',
+        '2026-01-07,Algebra I,Lecture,Slope,10',
+        '2026-01-08,Algebra I,Lesson,Slope,ten',
+        '2026-01-09,,Lesson,Slope,10'
+    ].join('\n');
+    const { activities, report } = await createImporter().parse(encode(csv), 'history.csv');
+
+    assert.equal(activities.length, 1);
+    assert.equal(report.warnings.length, 4);
+    assert.match(report.warnings[0], /^Row 3: "someday" is not a date/);
+    assert.match(report.warnings[1], /^Row 4: "Lecture" is not an activity type/);
+    assert.match(report.warnings[2], /^Row 5: earned XP "ten" is not a whole number/);
+    assert.match(report.warnings[3], /^Row 6: the course is empty/);
+});
+
+test('JSON rows are numbered from 1', async () => {
+    const json = JSON.stringify([
+        { date: '2026-01-05', course: 'Algebra I', type: 'Lesson', earned: 10 },
+        { date: '2026-01-06', course: 'Algebra I', type: 'Lesson', earned: -3 },
+        { date: '', course: 'Algebra I', type: 'Lesson', earned: 10 }
+    ]);
+    const { activities, report } = await createImporter().parse(encode(json), 'history.json');
+
+    assert.equal(activities.length, 2);
+    assert.deepEqual(report.warnings, ['Row 3: the date is empty']);
+});
+
+test('the file type comes from the extension or MIME type before the content', () => {
+    const importer = createImporter();
+
+    assert.equal(importer.isJSON('history.csv', '', '[note],date\n'), false);
+    assert.equal(importer.isJSON('export', 'text/csv', '{id},date\n'), false);
+    assert.equal(importer.isJSON('export', 'application/json; charset=utf-8', ''), true);
+    assert.equal(importer.isJSON('export', '', '  [{"date": "2026-01-05"}]'), true);
+    assert.equal(importer.isJSON('export', '', 'date,course\n'), false);
+});
+
+test('a CSV whose first cell starts with a bracket is read as CSV', async () => {
+    const csv = '[date],course,type,earned\n2026-01-05,Algebra I,Lesson,10\n';
+    const importer = createImporter();
+    importer.guessMapping = () => ({ date: '[date]', course: 'course', type: 'type', earned: 'earned' });
+
+    const { activities } = await importer.parse(encode(csv), 'history.csv');
+    assert.equal(activities.length, 1);
+});